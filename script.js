@@ -76,16 +76,158 @@ function addClassWithDelay(element, className, delay = 0) {
   }, delay);
 }
 
+/**
+ * Phone formats for the countries our clients call from.
+ * NANP countries share the US (xxx) xxx-xxxx mask; the rest are
+ * grouped with spaces. areaCodes restricts NANP territories and
+ * nationalPrefixes lists legacy prefixes that are dropped when present.
+ */
+const PHONE_COUNTRIES = {
+  US: { name: 'United States', flag: '🇺🇸', dialCode: '1', format: 'nanp', groups: [3, 3, 4], lengths: [10] },
+  PR: { name: 'Puerto Rico', flag: '🇵🇷', dialCode: '1', format: 'nanp', groups: [3, 3, 4], lengths: [10], areaCodes: ['787', '939'] },
+  MX: { name: 'Mexico', flag: '🇲🇽', dialCode: '52', groups: [2, 4, 4], lengths: [10], nationalPrefixes: ['1'] },
+  CA: { name: 'Canada', flag: '🇨🇦', dialCode: '1', format: 'nanp', groups: [3, 3, 4], lengths: [10] },
+  DO: { name: 'Dominican Republic', flag: '🇩🇴', dialCode: '1', format: 'nanp', groups: [3, 3, 4], lengths: [10], areaCodes: ['809', '829', '849'] },
+  CO: { name: 'Colombia', flag: '🇨🇴', dialCode: '57', groups: [3, 3, 4], lengths: [10] },
+  VE: { name: 'Venezuela', flag: '🇻🇪', dialCode: '58', groups: [3, 3, 4], lengths: [10] },
+  GT: { name: 'Guatemala', flag: '🇬🇹', dialCode: '502', groups: [4, 4], lengths: [8] },
+  SV: { name: 'El Salvador', flag: '🇸🇻', dialCode: '503', groups: [4, 4], lengths: [8] },
+  HN: { name: 'Honduras', flag: '🇭🇳', dialCode: '504', groups: [4, 4], lengths: [8] },
+  ES: { name: 'Spain', flag: '🇪🇸', dialCode: '34', groups: [3, 2, 2, 2], lengths: [9] }
+};
+
+const DEFAULT_PHONE_COUNTRY = 'US';
+
+/**
+ * Look up a phone country, falling back to the default
+ */
+function getPhoneCountry(countryCode) {
+  return PHONE_COUNTRIES[countryCode] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+}
+
+/**
+ * Strip formatting and any international prefix, leaving national digits
+ */
+function getNationalDigits(value, countryCode = DEFAULT_PHONE_COUNTRY) {
+  const country = getPhoneCountry(countryCode);
+  const maxLength = Math.max(...country.lengths);
+  const isInternational = /^\s*(\+|00)/.test(value);
+  let digits = String(value).replace(/\D/g, '');
+  
+  if (isInternational) {
+    digits = digits.replace(/^00/, '');
+  }
+  
+  // Drop a country code that was typed or pasted along with the number
+  if ((isInternational || digits.length > maxLength) && digits.startsWith(country.dialCode)) {
+    digits = digits.slice(country.dialCode.length);
+  }
+  
+  (country.nationalPrefixes || []).forEach(prefix => {
+    if (digits.length > maxLength && digits.startsWith(prefix)) {
+      digits = digits.slice(prefix.length);
+    }
+  });
+  
+  return digits.slice(0, maxLength);
+}
+
 /**
  * Format phone number
  */
-function formatPhoneNumber(value) {
-  const phone = value.replace(/\D/g, '');
-  const match = phone.match(/^(\d{0,3})(\d{0,3})(\d{0,4})$/);
-  if (match) {
+function formatPhoneNumber(value, countryCode = DEFAULT_PHONE_COUNTRY) {
+  const country = getPhoneCountry(countryCode);
+  const phone = getNationalDigits(value, countryCode);
+  
+  if (country.format === 'nanp') {
+    const match = phone.match(/^(\d{0,3})(\d{0,3})(\d{0,4})$/);
     return !match[2] ? match[1] : !match[3] ? `(${match[1]}) ${match[2]}` : `(${match[1]}) ${match[2]}-${match[3]}`;
   }
-  return value;
+  
+  const parts = [];
+  let index = 0;
+  country.groups.forEach(size => {
+    const part = phone.slice(index, index + size);
+    if (part) {
+      parts.push(part);
+    }
+    index += size;
+  });
+  return parts.join(' ');
+}
+
+/**
+ * Digits after a leading + or 00, or null for a national number
+ */
+function getInternationalDigits(value) {
+  const match = String(value).match(/^\s*(\+|00)(.*)$/);
+  return match ? match[2].replace(/\D/g, '') : null;
+}
+
+/**
+ * Country of a number typed with its country code (+52..., 0052...), or
+ * null until the digits so far name one. NANP numbers keep the current
+ * country unless their area code belongs to a territory.
+ */
+function inferPhoneCountry(value, currentCode = DEFAULT_PHONE_COUNTRY) {
+  const digits = getInternationalDigits(value);
+  if (!digits) return null;
+  
+  const candidates = Object.entries(PHONE_COUNTRIES).filter(([, country]) => digits.startsWith(country.dialCode));
+  if (!candidates.length) return null;
+  
+  const longest = Math.max(...candidates.map(([, country]) => country.dialCode.length));
+  const matches = candidates.filter(([, country]) => country.dialCode.length === longest);
+  if (matches.length === 1) return matches[0][0];
+  
+  const areaCode = digits.slice(longest, longest + 3);
+  const isCurrent = ([code]) => code === currentCode;
+  if (areaCode.length < 3 && matches.some(isCurrent)) return currentCode;
+  
+  const territory = matches.find(([, country]) => country.areaCodes?.includes(areaCode));
+  const unrestricted = matches.filter(([, country]) => !country.areaCodes);
+  return (territory || unrestricted.find(isCurrent) || unrestricted[0] || matches[0])[0];
+}
+
+/**
+ * Format a phone field as it's typed. A number started with + keeps its
+ * country code in front, e.g. "+52 55 1234 5678".
+ */
+function formatPhoneInput(value, countryCode = DEFAULT_PHONE_COUNTRY) {
+  const digits = getInternationalDigits(value);
+  if (digits === null) return formatPhoneNumber(value, countryCode);
+  
+  // Still typing the country code
+  const country = getPhoneCountry(countryCode);
+  if (!digits.startsWith(country.dialCode)) return `+${digits}`;
+  
+  const national = formatPhoneNumber(value, countryCode);
+  return national ? `+${country.dialCode} ${national}` : `+${country.dialCode}`;
+}
+
+/**
+ * Validate a phone number against its country's length and area code rules
+ */
+function isValidPhoneNumber(value, countryCode = DEFAULT_PHONE_COUNTRY) {
+  const country = getPhoneCountry(countryCode);
+  const phone = getNationalDigits(value, countryCode);
+  
+  if (!country.lengths.includes(phone.length)) return false;
+  
+  // NANP area codes never start with 0 or 1
+  if (country.format === 'nanp' && !/^[2-9]/.test(phone)) return false;
+  
+  if (country.areaCodes && !country.areaCodes.includes(phone.slice(0, 3))) return false;
+  
+  return true;
+}
+
+/**
+ * Normalize a phone number to E.164 (e.g. +15551234567)
+ */
+function toE164(value, countryCode = DEFAULT_PHONE_COUNTRY) {
+  const country = getPhoneCountry(countryCode);
+  return `+${country.dialCode}${getNationalDigits(value, countryCode)}`;
 }
 
 /**
@@ -96,762 +238,8329 @@ function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
+/**
+ * Resolve after the given number of milliseconds
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Generate a random identifier (UUID where supported)
+ */
+function generateId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * POST JSON in a way that survives the page being closed. Beacons can be
+ * refused (size limits, unsupported), so fall back to a keepalive fetch.
+ */
+function sendBeaconJSON(url, data) {
+  const body = JSON.stringify(data);
+  const queued = typeof navigator.sendBeacon === 'function' &&
+    navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+  
+  if (!queued) {
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(error => console.warn(`Could not send to ${url}:`, error.message));
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Read a JSON value from localStorage (storage may be unavailable)
+ */
+function getStoredItem(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ */
+function setStoredItem(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove a value from localStorage
+ */
+function removeStoredItem(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    // Storage unavailable - nothing to remove
+  }
+}
+
+/**
+ * Expire cookies whose names start with any of the given prefixes, on this
+ * host and on the parent domain trackers usually set them for
+ */
+function expireCookies(prefixes) {
+  const host = window.location.hostname;
+  const domains = ['', host, `.${host.split('.').slice(-2).join('.')}`];
+  
+  document.cookie.split(';')
+    .map(cookie => cookie.split('=')[0].trim())
+    .filter(name => prefixes.some(prefix => name.startsWith(prefix)))
+    .forEach(name => {
+      domains.forEach(domain => {
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+      });
+    });
+}
+
+/**
+ * Escape text for safe use inside HTML markup
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Save generated content as a file through a temporary link
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Encode bytes as base64
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
 // ===================================
-// MOBILE NAVIGATION
+// LOCALIZATION
 // ===================================
 
-class MobileNavigation {
-  constructor() {
-    this.hamburger = document.getElementById('mobileToggle');
-    this.navMenu = document.getElementById('navMenu');
-    this.navLinks = document.querySelectorAll('.nav-link');
-    this.isOpen = false;
+/**
+ * Message catalogues. Page copy is marked up in index.html with data-i18n
+ * and its English is read from the markup, so only its Spanish is listed
+ * here. Messages take {name} placeholders; a { one, other } message picks
+ * its plural form from params.count.
+ */
+const I18N_MESSAGES = {
+  en: {
+    'a11y.skipToContent': 'Skip to main content',
+    'notifications.close': 'Dismiss notification',
+    'modal.close': 'Close',
+    'modal.ok': 'OK',
+    'modal.cancel': 'Cancel',
+    
+    'validation.required': 'This field is required',
+    'validation.minLength': {
+      one: 'Please enter at least {count} character',
+      other: 'Please enter at least {count} characters'
+    },
+    'validation.maxLength': {
+      one: 'Please keep this under {count} character',
+      other: 'Please keep this under {count} characters'
+    },
+    'validation.pattern': 'Please match the requested format',
+    'validation.email': 'Please enter a valid email address',
+    'validation.phone': 'Please enter a valid {country} phone number',
+    'validation.notDisposable': 'Please use a permanent email address so we can reach you',
+    'validation.invalid': 'This field is invalid',
+    'validation.creditIssues': 'Select at least one credit issue, or pick a score range of 740 or higher',
+    
+    'form.fixErrors': 'Please fix the errors above',
+    'form.retrying': 'Connection problem, retrying your request...',
+    'form.failed': 'Something went wrong. Please try again.',
+    'form.processing': 'Processing...',
+    
+    'wizard.step': 'Step',
+    'wizard.review': 'Review',
+    'wizard.reviewTitle': 'Review your details',
+    'wizard.back': 'Back',
+    'wizard.next': 'Next',
+    'wizard.progress': 'Step {current} of {total}',
+    'wizard.announce': 'Step {current} of {total}: {title}',
+    'wizard.edit': 'Edit',
+    'wizard.editStep': 'Edit {step}',
+    'wizard.notProvided': 'Not provided',
+    
+    'draft.forget': 'Forget my data',
+    'draft.saved': 'Draft saved on this device',
+    'draft.welcomeBack': 'Welcome back! You have an unfinished request from {date}.',
+    'draft.resume': 'Resume where you left off',
+    'draft.startOver': 'Start over',
+    'draft.restored': 'Your saved answers have been restored',
+    'draft.forgotten': 'Your saved details have been removed from this device.',
+    
+    'report.reading': 'Reading your report...',
+    'report.nothingFound': "We couldn't find any scores or negative items in this file.",
+    'report.unreadable': "Sorry, we couldn't read that file. Try a text or CSV export of your report.",
+    'report.tooLarge': 'That file is too large. Please choose a report under 10 MB.',
+    'report.pdfUnsupported': "Your browser can't read PDFs here. Please use the text or CSV export instead.",
+    'report.pdfNoText': "We couldn't find any text in this PDF. If it is a scan, please use the text or CSV export instead.",
+    'report.previewTitle': "Here's what we found in your report",
+    'report.notFound': 'not found',
+    'report.negatives': {
+      one: '{count} negative item:',
+      other: '{count} negative items:'
+    },
+    'report.noNegatives': 'No negative items found.',
+    'report.negative.collections': 'Collection',
+    'report.negative.late-payments': 'Late payment',
+    'report.negative.charge-offs': 'Charge-off',
+    'report.negative.bankruptcy': 'Bankruptcy',
+    'report.negative.foreclosure': 'Foreclosure',
+    'report.apply': 'Use these results',
+    'report.dismiss': 'Dismiss',
+    'report.applied': "We've filled in your score range and credit issues. Please review them before continuing.",
+    
+    'letters.download': 'Download',
+    'letters.downloadLabel': 'Download {bureau} letter',
+    'letters.print': 'Print / PDF',
+    'letters.printLabel': 'Print or save {bureau} letter as PDF',
+    
+    'booking.timeZone': 'Times are shown in your time zone ({timeZone}).',
+    'booking.loading': 'Loading available times...',
+    'booking.none': 'No times are available this week. We will call you to schedule.',
+    'booking.booking': 'Booking your consultation...',
+    'booking.taken': 'Sorry, that time was just taken. Please choose another.',
+    'booking.failed': 'We could not book that time. Please try again, or we will call you to schedule.',
+    'booking.confirmed': "You're booked for {date} at {time}. We'll call you at the number you provided.",
+    'booking.invite.summary': 'Free credit consultation - {company}',
+    'booking.invite.description': 'A {company} credit expert will call you to go over your free credit analysis.\nHave your credit reports ready for review.',
+    'booking.invite.reminder': 'Credit consultation reminder',
+    
+    'chat.message.greeting': 'Hi!',
+    'chat.message.greetingName': "Hi! I'm {name}.",
+    'chat.message.plan': "I'm interested in the {plan} plan.",
+    'chat.message.service': "I'd like help with {service}.",
+    'chat.message.issues': 'My credit issues: {issues}.',
+    'chat.message.interest': "I'm interested in credit repair services.",
+    'chat.message.help': 'Can you help me get started?',
+    'chat.status.online': 'Online now - until {time}',
+    'chat.status.offline': 'Offline - leave your details and we will call you back',
+    'chat.status.backToday': 'Offline - back at {time}',
+    'chat.status.backTomorrow': 'Offline - back tomorrow at {time}',
+    'chat.status.backOn': 'Offline - back {day} at {time}',
+    
+    'pricing.defaultPlan': 'Selected Plan',
+    'pricing.prefill': "I'm interested in the {plan} credit repair package. Please contact me with more details.",
+    'pricing.selected': '✓ {plan} selected! Please fill out the form below.',
+    
+    'services.defaultService': 'Service',
+    'services.prefill': "I'm interested in {service}.",
+    
+    'score.band.excellent': 'Excellent',
+    'score.band.very-good': 'Very Good',
+    'score.band.good': 'Good',
+    'score.band.fair': 'Fair',
+    'score.band.poor': 'Poor',
+    'score.factor.paymentHistory': 'Payment History',
+    'score.factor.utilization': 'Credit Utilization',
+    'score.factor.creditAge': 'Credit Age',
+    'score.factor.collections': 'Collections',
+    'score.factor.inquiries': 'Hard Inquiries',
+    
+    'simulator.open': 'Try the what-if simulator',
+    'simulator.close': 'Back to example',
+    'simulator.estimate': 'Estimate',
+    'simulator.disclaimer': 'Estimates only. This simplified model is for illustration and is not your actual credit score or a prediction of results.',
+    'simulator.range': 'Est. {low}–{high}',
+    'simulator.announce': 'Estimated score range {low} to {high}',
+    'simulator.value.percent': '{count}%',
+    'simulator.value.years': {
+      one: '{count} year',
+      other: '{count} years'
+    },
+    'simulator.value.count': '{count}',
+    
+    'results.days': {
+      one: '{count} day',
+      other: '{count} days'
+    },
+    'results.itemsRemoved': {
+      one: '{count} item removed',
+      other: '{count} items removed'
+    },
+    
+    'consent.signal': 'Your browser sends a {signals} signal, so {categories} tracking stays off.',
+    'consent.category.analytics': 'analytics',
+    'consent.category.marketing': 'marketing',
+    
+    'faq.expandAll': 'Expand all',
+    'faq.collapseAll': 'Collapse all',
+    'faq.results': {
+      one: '{count} question matches your search',
+      other: '{count} questions match your search'
+    },
+    'faq.noResults': 'No questions match "{query}". Try other words, or ask us directly.'
+  },
+  es: {
+    'a11y.skipToContent': 'Saltar al contenido principal',
+    'notifications.close': 'Cerrar notificación',
+    'modal.close': 'Cerrar',
+    'modal.ok': 'Aceptar',
+    'modal.cancel': 'Cancelar',
+    
+    'validation.required': 'Este campo es obligatorio',
+    'validation.minLength': {
+      one: 'Escriba al menos {count} carácter',
+      other: 'Escriba al menos {count} caracteres'
+    },
+    'validation.maxLength': {
+      one: 'Use menos de {count} carácter',
+      other: 'Use menos de {count} caracteres'
+    },
+    'validation.pattern': 'Use el formato solicitado',
+    'validation.email': 'Escriba un correo electrónico válido',
+    'validation.phone': 'Escriba un número de teléfono válido de {country}',
+    'validation.notDisposable': 'Use un correo electrónico permanente para que podamos comunicarnos con usted',
+    'validation.invalid': 'Este campo no es válido',
+    'validation.creditIssues': 'Seleccione al menos un problema de crédito, o elija un rango de puntaje de 740 o más',
+    
+    'form.fixErrors': 'Corrija los errores indicados arriba',
+    'form.retrying': 'Problema de conexión, reintentando su solicitud...',
+    'form.failed': 'Algo salió mal. Inténtelo de nuevo.',
+    'form.processing': 'Procesando...',
+    
+    'wizard.step': 'Paso',
+    'wizard.review': 'Revisión',
+    'wizard.reviewTitle': 'Revise sus datos',
+    'wizard.back': 'Atrás',
+    'wizard.next': 'Siguiente',
+    'wizard.progress': 'Paso {current} de {total}',
+    'wizard.announce': 'Paso {current} de {total}: {title}',
+    'wizard.edit': 'Editar',
+    'wizard.editStep': 'Editar {step}',
+    'wizard.notProvided': 'Sin completar',
+    
+    'draft.forget': 'Olvidar mis datos',
+    'draft.saved': 'Borrador guardado en este dispositivo',
+    'draft.welcomeBack': '¡Le damos la bienvenida de nuevo! Tiene una solicitud sin terminar del {date}.',
+    'draft.resume': 'Continuar donde lo dejó',
+    'draft.startOver': 'Empezar de nuevo',
+    'draft.restored': 'Se restauraron sus respuestas guardadas',
+    'draft.forgotten': 'Sus datos guardados se eliminaron de este dispositivo.',
+    
+    'report.reading': 'Leyendo su reporte...',
+    'report.nothingFound': 'No encontramos puntajes ni elementos negativos en este archivo.',
+    'report.unreadable': 'No pudimos leer ese archivo. Pruebe con una exportación en texto o CSV de su reporte.',
+    'report.tooLarge': 'Ese archivo es demasiado grande. Elija un reporte de menos de 10 MB.',
+    'report.pdfUnsupported': 'Su navegador no puede leer archivos PDF aquí. Use la exportación en texto o CSV.',
+    'report.pdfNoText': 'No encontramos texto en este PDF. Si es un escaneo, use la exportación en texto o CSV.',
+    'report.previewTitle': 'Esto es lo que encontramos en su reporte',
+    'report.notFound': 'no encontrado',
+    'report.negatives': {
+      one: '{count} elemento negativo:',
+      other: '{count} elementos negativos:'
+    },
+    'report.noNegatives': 'No se encontraron elementos negativos.',
+    'report.negative.collections': 'Cobranza',
+    'report.negative.late-payments': 'Pago atrasado',
+    'report.negative.charge-offs': 'Cuenta castigada',
+    'report.negative.bankruptcy': 'Bancarrota',
+    'report.negative.foreclosure': 'Ejecución hipotecaria',
+    'report.apply': 'Usar estos resultados',
+    'report.dismiss': 'Descartar',
+    'report.applied': 'Completamos su rango de puntaje y sus problemas de crédito. Revíselos antes de continuar.',
+    
+    'letters.download': 'Descargar',
+    'letters.downloadLabel': 'Descargar la carta para {bureau}',
+    'letters.print': 'Imprimir / PDF',
+    'letters.printLabel': 'Imprimir o guardar como PDF la carta para {bureau}',
+    
+    'booking.timeZone': 'Los horarios se muestran en su zona horaria ({timeZone}).',
+    'booking.loading': 'Cargando horarios disponibles...',
+    'booking.none': 'No hay horarios disponibles esta semana. Le llamaremos para programar su consulta.',
+    'booking.booking': 'Reservando su consulta...',
+    'booking.taken': 'Lo sentimos, alguien acaba de reservar ese horario. Elija otro.',
+    'booking.failed': 'No pudimos reservar ese horario. Inténtelo de nuevo o le llamaremos para programar su consulta.',
+    'booking.confirmed': 'Su consulta quedó reservada para el {date}, {time}. Le llamaremos al número que nos dio.',
+    'booking.invite.summary': 'Consulta de crédito gratis - {company}',
+    'booking.invite.description': 'Un experto en crédito de {company} le llamará para revisar su análisis de crédito gratis.\nTenga listos sus reportes de crédito para revisarlos.',
+    'booking.invite.reminder': 'Recordatorio de consulta de crédito',
+    
+    'chat.message.greeting': '¡Hola!',
+    'chat.message.greetingName': '¡Hola! Soy {name}.',
+    'chat.message.plan': 'Me interesa el plan {plan}.',
+    'chat.message.service': 'Quisiera ayuda con {service}.',
+    'chat.message.issues': 'Mis problemas de crédito: {issues}.',
+    'chat.message.interest': 'Me interesan los servicios de reparación de crédito.',
+    'chat.message.help': '¿Me pueden ayudar a comenzar?',
+    'chat.status.online': 'En línea ahora - hasta {time}',
+    'chat.status.offline': 'Fuera de línea - deje sus datos y le llamaremos',
+    'chat.status.backToday': 'Fuera de línea - volvemos a las {time}',
+    'chat.status.backTomorrow': 'Fuera de línea - volvemos mañana a las {time}',
+    'chat.status.backOn': 'Fuera de línea - volvemos el {day} a las {time}',
+    
+    'pricing.defaultPlan': 'Plan seleccionado',
+    'pricing.prefill': 'Me interesa el paquete de reparación de crédito {plan}. Por favor comuníquense conmigo con más detalles.',
+    'pricing.selected': '✓ ¡{plan} seleccionado! Complete el formulario a continuación.',
+    
+    'services.defaultService': 'Servicio',
+    'services.prefill': 'Me interesa: {service}.',
+    
+    'score.band.excellent': 'Excelente',
+    'score.band.very-good': 'Muy bueno',
+    'score.band.good': 'Bueno',
+    'score.band.fair': 'Regular',
+    'score.band.poor': 'Malo',
+    'score.factor.paymentHistory': 'Historial de pagos',
+    'score.factor.utilization': 'Uso del crédito',
+    'score.factor.creditAge': 'Antigüedad del crédito',
+    'score.factor.collections': 'Cobranzas',
+    'score.factor.inquiries': 'Consultas de crédito rigurosas',
+    
+    'simulator.open': 'Pruebe el simulador',
+    'simulator.close': 'Volver al ejemplo',
+    'simulator.estimate': 'Estimación',
+    'simulator.disclaimer': 'Solo son estimaciones. Este modelo simplificado es ilustrativo y no es su puntaje de crédito real ni una predicción de resultados.',
+    'simulator.range': 'Est. {low}–{high}',
+    'simulator.announce': 'Rango de puntaje estimado: {low} a {high}',
+    'simulator.value.percent': '{count}%',
+    'simulator.value.years': {
+      one: '{count} año',
+      other: '{count} años'
+    },
+    'simulator.value.count': '{count}',
+    
+    'results.days': {
+      one: '{count} día',
+      other: '{count} días'
+    },
+    'results.itemsRemoved': {
+      one: '{count} elemento eliminado',
+      other: '{count} elementos eliminados'
+    },
+    
+    'consent.signal': 'Su navegador envía una señal de {signals}, así que el seguimiento de {categories} permanece desactivado.',
+    'consent.category.analytics': 'analítica',
+    'consent.category.marketing': 'marketing',
+    
+    'faq.expandAll': 'Expandir todo',
+    'faq.collapseAll': 'Contraer todo',
+    'faq.results': {
+      one: '{count} pregunta coincide con su búsqueda',
+      other: '{count} preguntas coinciden con su búsqueda'
+    },
+    'faq.noResults': 'Ninguna pregunta coincide con «{query}». Pruebe con otras palabras o consúltenos directamente.',
+    
+    // Page copy marked with data-i18n in index.html
+    'meta.title': 'CreditBoost Elite | Transforme su puntaje de crédito rápidamente',
+    'meta.description': 'Servicios expertos de reparación de crédito. Elimine elementos negativos y suba su puntaje más de 150 puntos en 60 a 90 días. Consulta gratis y garantía de devolución de dinero.',
+    
+    'nav.home': 'Inicio',
+    'nav.services': 'Servicios',
+    'nav.results': 'Resultados',
+    'nav.process': 'Proceso',
+    'nav.pricing': 'Precios',
+    'nav.cta': 'Obtener análisis gratis',
+    'nav.language': 'Idioma',
+    
+    'hero.badge': 'Servicio de reparación de crédito n.º 1',
+    'hero.title': 'Suba su puntaje de crédito <span class="highlight-gradient">más de 200 puntos</span> en solo 60 a 90 días',
+    'hero.subtitle': 'Expertos profesionales en reparación de crédito eliminan elementos negativos, disputan errores y optimizan su perfil de crédito. Tasa de éxito del 98% con resultados garantizados o le devolvemos su dinero.',
+    'hero.stats.clients': 'Clientes satisfechos',
+    'hero.stats.successRate': 'Tasa de éxito',
+    'hero.stats.days': 'Días para ver resultados',
+    'hero.cta': 'Obtenga su análisis de crédito gratis',
+    
+    'cta.whatsapp': 'Chatee por WhatsApp',
+    
+    'hero.trust.noFees': 'Sin cuotas mensuales',
+    'hero.trust.approved': 'Aprobado por el gobierno',
+    'hero.trust.guarantee': 'Garantía de devolución',
+    
+    'common.fcraCompliant': 'Cumple con la FCRA',
+    
+    'hero.card.title': 'Su transformación de crédito',
+    'hero.card.improving': 'Mejorando',
+    
+    'results.badge': 'Casos de éxito',
+    'results.title': 'Resultados reales de personas reales',
+    'results.subtitle': 'Vea cómo hemos transformado miles de puntajes de crédito y cambiado vidas',
+    'results.mostImproved': 'Mayor mejora',
+    'results.sarah.role': 'Dueña de negocio, Dallas TX',
+    'results.before': 'Antes',
+    'results.after': 'Después',
+    'results.sarah.outcome': 'Aprobada para una hipoteca de $485K',
+    'results.sarah.quote': '"Pasé de que me negaran todo a calificar para la hipoteca de la casa de mis sueños. El equipo fue increíble y me mantuvo informada en cada paso."',
+    'results.rating': '5.0 de 5',
+    'results.david.role': 'Ingeniero de software, Seattle WA',
+    'results.david.outcome': 'Tasa de 0.9% en préstamo de auto',
+    'results.david.quote': '"Eliminaron cobranzas y pagos atrasados que creí que se quedarían para siempre. Ahora mi crédito es excelente y estoy ahorrando miles en préstamos."',
+    'results.maria.role': 'Agente de bienes raíces, Miami FL',
+    'results.maria.outcome': '$25K en crédito comercial',
+    'results.maria.quote': '"Un servicio profesional que cumplió exactamente lo que prometió. Mis solicitudes de crédito comercial pasaron de rechazos a aprobaciones."',
+    
+    'services.badge': 'Nuestros servicios',
+    'services.title': 'Soluciones completas de reparación de crédito',
+    'services.subtitle': 'Todo lo que necesita para transformar su puntaje de crédito y su futuro financiero',
+    'services.analysis.title': 'Análisis del reporte de crédito',
+    'services.analysis.text': 'Análisis completo de los 3 burós de crédito que identifica errores, inexactitudes y oportunidades de mejora.',
+    'services.analysis.audit': 'Auditoría completa de crédito',
+    'services.analysis.errors': 'Identificación de errores',
+    'services.analysis.strategy': 'Estrategia de mejora',
+    'services.analysis.plan': 'Plan de acción detallado',
+    'services.popular': 'El más popular',
+    'services.removal.title': 'Eliminación de elementos negativos',
+    'services.removal.text': 'Proceso profesional de disputas para eliminar cobranzas, cuentas castigadas, pagos atrasados y otras marcas negativas.',
+    'services.removal.collections': 'Eliminación de cobranzas',
+    'services.removal.chargeOffs': 'Disputas de cuentas castigadas',
+    'services.removal.latePayments': 'Eliminación de pagos atrasados',
+    'services.removal.bankruptcy': 'Asistencia con bancarrotas',
+    'services.optimization.title': 'Optimización del puntaje',
+    'services.optimization.text': 'Técnicas estratégicas para maximizar la mejora de su puntaje y lograr una buena salud crediticia a largo plazo.',
+    'services.optimization.utilization': 'Optimización del uso del crédito',
+    'services.optimization.mix': 'Mejora de la combinación de créditos',
+    'services.optimization.timing': 'Estrategia de fechas de pago',
+    'services.optimization.building': 'Orientación para construir crédito',
+    'services.monitoring.title': 'Monitoreo continuo',
+    'services.monitoring.text': 'Monitoreo y apoyo continuos para mantener las mejoras y seguir su progreso.',
+    'services.monitoring.alerts': 'Monitoreo de crédito 24/7',
+    'services.monitoring.reports': 'Reportes mensuales de progreso',
+    'services.monitoring.consultation': 'Asesoría de expertos',
+    'services.monitoring.identity': 'Protección contra el robo de identidad',
+    
+    'process.badge': 'Nuestro proceso',
+    'process.title': 'Cómo transformamos su crédito',
+    'process.subtitle': 'Nuestro método comprobado de 4 pasos que da resultados constantes',
+    'process.analysis.title': 'Análisis y auditoría de crédito',
+    'process.analysis.text': 'Obtenemos y analizamos sus reportes de crédito de los tres burós e identificamos cada error, inexactitud y oportunidad de mejora.',
+    'process.analysis.bureaus': 'Análisis completo de los 3 burós',
+    'process.analysis.errors': 'Identificación y documentación de errores',
+    'process.analysis.strategy': 'Estrategia de mejora personalizada',
+    'process.disputes.title': 'Disputas estratégicas',
+    'process.disputes.text': 'Nuestros expertos redactan cartas de disputa personalizadas con estrategias legales comprobadas para impugnar elementos negativos y errores.',
+    'process.disputes.letters': 'Cartas de disputa profesionales',
+    'process.disputes.compliance': 'Cumplimiento legal y estrategia',
+    'process.disputes.negotiations': 'Negociación directa con acreedores',
+    'process.optimization.text': 'Aplicamos técnicas avanzadas para maximizar la mejora de su puntaje mientras construimos un historial de crédito positivo.',
+    'process.optimization.utilization': 'Optimización de la tasa de uso',
+    'process.optimization.building': 'Estrategias para construir crédito',
+    'process.optimization.timing': 'Orientación sobre fechas de pago',
+    'process.support.title': 'Apoyo continuo',
+    'process.support.text': 'Monitoreo y apoyo continuos para mantener su crédito mejorado y alcanzar sus metas financieras.',
+    'process.support.tracking': 'Seguimiento mensual del progreso',
+    'process.support.guidance': 'Orientación y apoyo de expertos',
+    'process.support.maintenance': 'Mantenimiento a largo plazo',
+    
+    'pricing.title': 'Sistema sencillo de dos pagos',
+    'pricing.subtitle': 'Creemos en la reparación de crédito basada en resultados. Solo paga cuando le damos resultados.',
+    'pricing.first.description': 'Para iniciar su proceso de reparación de crédito',
+    'pricing.first.analysis': 'Análisis completo de crédito de los 3 burós',
+    'pricing.first.errors': 'Identificación exhaustiva de errores',
+    'pricing.first.strategy': 'Estrategia de mejora personalizada',
+    'pricing.first.letters': 'Envío de las primeras cartas de disputa',
+    'pricing.first.creditors': 'Comunicación directa con acreedores',
+    'pricing.first.setup': 'Apertura de cuenta y asesoría',
+    
+    'cta.getStarted': 'Comenzar',
+    
+    'pricing.second.badge': 'Según resultados',
+    'pricing.second.description': 'Solo después de que le demos resultados',
+    'pricing.second.removed': 'Elementos negativos eliminados con éxito',
+    'pricing.second.documented': 'Mejoras del puntaje documentadas',
+    'pricing.second.corrected': 'Errores corregidos en sus reportes',
+    'pricing.second.progress': 'Progreso medible logrado',
+    'pricing.second.verified': 'Resultados verificados y confirmados',
+    'pricing.second.optimized': 'Perfil de crédito optimizado',
+    'pricing.payForResults': 'Pague solo por resultados',
+    'pricing.guarantee.title': 'Garantía de resultados al 100%',
+    'pricing.guarantee.text': 'Si no le damos resultados medibles en 120 días, no paga el segundo pago. Sin preguntas.',
+    
+    'contact.title': 'Comience hoy la transformación de su crédito',
+    'contact.subtitle': 'Obtenga un análisis completo de su crédito y un plan de mejora personalizado. Sin compromiso y totalmente gratis.',
+    'contact.benefits.analysis.title': 'Análisis de crédito gratis',
+    'contact.benefits.analysis.text': 'Reporte detallado con todas sus oportunidades de mejora',
+    'contact.benefits.fast.title': 'Resultados rápidos',
+    'contact.benefits.fast.text': 'La mayoría de los clientes ve mejoras en 30 a 60 días',
+    'contact.benefits.guarantee.title': 'Garantía al 100%',
+    'contact.benefits.guarantee.text': 'Le devolvemos su dinero si no mejoramos su puntaje',
+    'contact.call': 'Llame ahora',
+    'contact.email': 'Escríbanos',
+    'contact.support': 'Soporte 24/7',
+    
+    'form.title': 'Obtenga su análisis de crédito gratis',
+    'form.subtitle': 'Complete el formulario para recibir su plan personalizado de mejora de crédito en 24 horas',
+    'form.steps.contact': 'Datos de contacto',
+    'form.firstName': 'Nombre *',
+    'form.lastName': 'Apellido *',
+    'form.email': 'Correo electrónico *',
+    'form.phone': 'Número de teléfono *',
+    'form.phoneCountry': 'País del teléfono',
+    'form.steps.credit': 'Su situación de crédito',
+    'form.report.label': '¿Tiene su reporte de crédito? Impórtelo para llenar esto automáticamente',
+    'form.report.hint': 'Exportación en texto, CSV o PDF. Su reporte se lee en este dispositivo y nunca se sube.',
+    'form.creditScore': 'Rango actual de su puntaje de crédito',
+    'form.creditScore.placeholder': 'Seleccione su rango actual',
+    'form.creditScore.below500': 'Menos de 500 (Malo)',
+    'form.creditScore.500': '500-579 (Malo)',
+    'form.creditScore.580': '580-669 (Regular)',
+    'form.creditScore.670': '670-739 (Bueno)',
+    'form.creditScore.740': '740-799 (Muy bueno)',
+    'form.creditScore.800': '800+ (Excelente)',
+    'form.creditScore.unknown': 'No conozco mi puntaje',
+    'form.creditIssues': '¿Qué problemas de crédito tiene? (Marque todos los que correspondan)',
+    'form.issues.collections': 'Cobranzas',
+    'form.issues.latePayments': 'Pagos atrasados',
+    'form.issues.chargeOffs': 'Cuentas castigadas',
+    'form.issues.bankruptcy': 'Bancarrota',
+    'form.issues.foreclosure': 'Ejecución hipotecaria',
+    'form.issues.identityTheft': 'Robo de identidad',
+    'form.steps.goals': 'Sus metas',
+    'form.goals': '¿Cuáles son sus principales metas de crédito?',
+    'form.goals.placeholder': 'p. ej., comprar una casa, obtener un préstamo de auto, calificar para crédito comercial, mejorar sus tarjetas de crédito, etc.',
+    'form.timeline': '¿Para cuándo necesita alcanzar sus metas de crédito?',
+    'form.timeline.placeholder': 'Seleccione un plazo',
+    'form.timeline.asap': 'Lo antes posible',
+    'form.timeline.3months': 'En 3 meses',
+    'form.timeline.6months': 'En 6 meses',
+    'form.timeline.12months': 'En 12 meses',
+    'form.timeline.noRush': 'Sin un plazo específico',
+    'form.croa.title': 'Derechos del consumidor sobre su expediente de crédito según las leyes estatales y federales',
+    'form.croa.dispute': 'Usted tiene derecho a disputar información inexacta en su reporte de crédito comunicándose directamente con el buró de crédito. Sin embargo, ni usted ni ninguna compañía de "reparación de crédito" u organización de reparación de crédito tiene derecho a que se elimine de su reporte de crédito información exacta, actual y verificable. El buró de crédito debe eliminar de su reporte la información negativa exacta solo si tiene más de 7 años de antigüedad. La información sobre bancarrotas puede reportarse durante 10 años.',
+    'form.croa.copy': 'Usted tiene derecho a obtener una copia de su reporte de crédito de un buró de crédito. Es posible que se le cobre una tarifa razonable. Sin embargo, no hay cargo si en los últimos 60 días le negaron crédito, empleo, seguro o el alquiler de una vivienda debido a información en su reporte de crédito. El buró de crédito debe proporcionarle a alguien que le ayude a interpretar la información de su expediente de crédito. Usted tiene derecho a recibir una copia gratuita de su reporte de crédito si está desempleado y piensa solicitar empleo en los próximos 60 días, si recibe asistencia pública o si tiene motivos para creer que hay información inexacta en su reporte de crédito debido a un fraude.',
+    'form.croa.sue': 'Usted tiene derecho a demandar a una organización de reparación de crédito que viole la Ley de Organizaciones de Reparación de Crédito (Credit Repair Organizations Act). Esta ley prohíbe las prácticas engañosas de las organizaciones de reparación de crédito.',
+    'form.croa.cancel': 'Usted tiene derecho a cancelar su contrato con cualquier organización de reparación de crédito por cualquier motivo dentro de los 3 días hábiles siguientes a la fecha en que lo firmó.',
+    'form.croa.accuracy': 'Los burós de crédito están obligados a seguir procedimientos razonables para asegurar que la información que reportan sea exacta. Sin embargo, pueden ocurrir errores.',
+    'form.croa.notify': 'Usted puede, por su cuenta, notificar por escrito a un buró de crédito que disputa la exactitud de la información de su expediente de crédito. El buró de crédito deberá entonces volver a investigar y modificar o eliminar la información inexacta o incompleta. El buró de crédito no puede cobrar ninguna tarifa por este servicio. Cualquier información pertinente y copias de todos los documentos que tenga sobre un error deben entregarse al buró de crédito.',
+    'form.croa.statement': 'Si la nueva investigación del buró de crédito no resuelve la disputa a su satisfacción, usted puede enviar al buró de crédito una breve declaración, que se guardará en su expediente, explicando por qué cree que el registro es inexacto. El buró de crédito debe incluir un resumen de su declaración sobre la información disputada en cualquier reporte que emita sobre usted.',
+    'form.croa.ftc': 'La Comisión Federal de Comercio (FTC) regula a los burós de crédito y a las organizaciones de reparación de crédito. Para más información, comuníquese con: The Public Reference Branch, Federal Trade Commission, Washington, D.C. 20580.',
+    'form.croa.required': 'Confirme que leyó sus derechos sobre su expediente de crédito',
+    'form.croa.consent': 'He leído la divulgación de Derechos del consumidor sobre su expediente de crédito. *',
+    'form.tcpa.required': 'Acepte que nos comuniquemos con usted sobre su análisis',
+    'form.tcpa.consent': 'Al marcar esta casilla, acepto que CreditBoost Elite me llame y me envíe mensajes de texto al número de teléfono que proporcioné, incluso con llamadas de marcación automática y mensajes pregrabados, sobre mi análisis de crédito y sus servicios. El consentimiento no es una condición de compra. Pueden aplicarse tarifas por mensajes y datos. Responda STOP para cancelar en cualquier momento. *',
+    'form.submit': 'Obtener mi análisis de crédito gratis',
+    'form.security': 'Su información es 100% segura y confidencial. Nunca compartimos sus datos.',
+    'form.consentExport': 'Descargar mis registros de consentimiento',
+    
+    'faq.badge': 'Preguntas frecuentes',
+    'faq.title': 'Preguntas frecuentes',
+    'faq.subtitle': 'Respuestas a las preguntas más comunes sobre la reparación de crédito',
+    'faq.search.label': 'Buscar en las preguntas frecuentes',
+    'faq.search.placeholder': 'Buscar preguntas...',
+    'faq.improve.question': '¿Cuánto pueden mejorar mi puntaje de crédito?',
+    'faq.improve.answer': 'Nuestros clientes suelen ver mejoras de 100 a más de 200 puntos en 60 a 90 días. La mejora exacta depende de su perfil de crédito actual, la cantidad de elementos negativos y la rapidez con que los acreedores respondan a las disputas. Hemos ayudado a clientes a subir su puntaje hasta 250 puntos.',
+    'faq.duration.question': '¿Cuánto tarda el proceso de reparación de crédito?',
+    'faq.duration.answer': 'La mayoría de los clientes ve los primeros resultados en 30 a 45 días, con mejoras importantes a los 60 a 90 días. Los casos complejos pueden tardar de 4 a 6 meses en lograr el máximo resultado. Le enviamos actualizaciones mensuales para que siga su progreso durante todo el proceso.',
+    'faq.legal.question': '¿Es legal la reparación de crédito?',
+    'faq.legal.answer': 'Sí, la reparación de crédito es completamente legal. La Ley de Informe Justo de Crédito (FCRA) le da el derecho de disputar información inexacta, desactualizada o no verificable en su reporte de crédito. Solo usamos métodos legales y cumplimos con todas las regulaciones federales.',
+    'faq.guarantee.question': '¿Qué incluye su garantía de devolución de dinero?',
+    'faq.guarantee.answer': 'Si en 120 días no eliminamos ningún elemento negativo ni mejoramos su puntaje de crédito, le devolvemos el 100% de su dinero. Sin preguntas. Confiamos en nuestro proceso y respaldamos nuestros resultados.',
+    'faq.bankruptcy.question': '¿Pueden eliminar bancarrotas y ejecuciones hipotecarias?',
+    'faq.bankruptcy.answer': 'Aunque las bancarrotas y las ejecuciones hipotecarias son marcas negativas graves, a menudo podemos eliminarlas si hay inexactitudes en cómo se reportan, errores de procedimiento o si ya pasó el plazo legal para reportarlas. Cada caso es único y analizaremos su situación específica.',
+    'faq.bureaus.question': '¿Trabajan con los tres burós de crédito?',
+    'faq.bureaus.answer': 'Sí, trabajamos con Experian, Equifax y TransUnion. También nos comunicamos directamente con acreedores y agencias de cobranza cuando es necesario. Nuestro enfoque integral asegura mejoras en todos sus reportes de crédito.',
+    
+    'footer.description': 'Servicios profesionales de reparación de crédito que ayudan a miles de personas a lograr su libertad financiera con mejores puntajes de crédito y mejores oportunidades.',
+    'footer.links.analysis': 'Análisis de crédito',
+    'footer.links.monitoring': 'Monitoreo de crédito',
+    'footer.company': 'Empresa',
+    'footer.links.about': 'Quiénes somos',
+    'footer.links.howItWorks': 'Cómo funciona',
+    'footer.support': 'Soporte',
+    'footer.links.email': 'Soporte por correo',
+    'footer.links.chat': 'Chat en vivo',
+    'footer.links.resources': 'Recursos',
+    'footer.legal': 'Legal',
+    'footer.links.privacy': 'Política de privacidad',
+    'footer.links.terms': 'Términos del servicio',
+    'footer.links.disclaimer': 'Aviso legal',
+    'footer.links.compliance': 'Cumplimiento de la FCRA',
+    'footer.copyright': '© 2025 CreditBoost Elite. Todos los derechos reservados.',
+    'footer.cookieSettings': 'Configuración de cookies',
+    'footer.bbb': 'Calificación A+ del BBB',
+    'footer.ssl': 'Protegido con SSL',
+    
+    'cta.callback': 'Solicitar una llamada',
+    
+    'fab.analysis': 'Análisis gratis',
+    
+    'legal.disclaimer': '<strong>Aviso legal:</strong> Los resultados no están garantizados y pueden variar. Los servicios de reparación de crédito suelen tardar de 3 a 6 meses. No somos un servicio de asesoría de crédito. Esto no es un préstamo ni una decisión de crédito. Consulte con su asesor financiero antes de tomar decisiones de crédito.',
+    
+    'success.title': '¡Gracias!',
+    'success.text': '¡Su solicitud se envió con éxito! Nuestros expertos en crédito analizarán su información y se comunicarán con usted en 24 horas con su plan personalizado de mejora de crédito.',
+    'success.nextSteps': 'Próximos pasos:',
+    'success.steps.email': 'Revise su correo para ver la confirmación',
+    'success.steps.call': 'Espere una llamada de nuestro equipo en 24 horas, o elija un horario abajo',
+    'success.steps.reports': 'Tenga listos sus reportes de crédito para revisarlos',
+    
+    'booking.title': 'Reserve su consulta gratis',
+    'booking.day': 'Día',
+    'booking.times': 'Horarios disponibles',
+    'booking.confirm': 'Confirmar horario',
+    'booking.addToCalendar': 'Agregar al calendario (.ics)',
+    
+    'letters.title': 'Sus cartas de disputa están listas',
+    'letters.text': 'Preparamos una carta para cada buró de crédito según los problemas que seleccionó. Complete los datos entre corchetes, fírmelas y envíelas por correo.',
+    'letters.downloadAll': 'Descargar todas las cartas',
+    
+    'chat.title': 'Chatee con nosotros por WhatsApp',
+    'chat.hours': 'Horario de atención:',
+    'chat.text': 'Chatee directamente por WhatsApp con un especialista en reparación de crédito que puede responder sus preguntas y ayudarle a comenzar de inmediato.',
+    'chat.offline': 'Nuestros especialistas no están disponibles en este momento. Obtenga su análisis gratis en línea, o deje sus datos y elija un horario para que le llamemos.',
+    'chat.offline.form': 'Obtener mi análisis gratis',
+    
+    'consent.label': 'Consentimiento de cookies',
+    'consent.banner': 'Usamos cookies para ver cómo se usa nuestro sitio (analítica), medir nuestra publicidad y cargar fuentes web de Google (marketing). El almacenamiento necesario mantiene el sitio funcionando y siempre está activo. Puede cambiar de opinión en cualquier momento en "Configuración de cookies" al final de la página.',
+    'consent.reject': 'Rechazar todo',
+    'consent.preferences': 'Preferencias',
+    'consent.accept': 'Aceptar todo',
+    'consent.title': 'Preferencias de cookies',
+    'consent.categories.necessary': '<strong>Necesarias</strong> Mantienen el sitio funcionando: el progreso guardado del formulario, las reservas y estas opciones. Siempre activas.',
+    'consent.categories.analytics': '<strong>Analítica</strong> Google Analytics y nuestras propias estadísticas de uso, que nos muestran qué mejorar.',
+    'consent.categories.marketing': '<strong>Marketing</strong> Medición de anuncios de Meta Pixel y Google Fonts. Estos proveedores ven su dirección IP.',
+    'consent.save': 'Guardar selección'
+  }
+};
+
+/**
+ * Translates the page and script messages, and formats numbers, dates and
+ * lists for the chosen language. Markup opts in with:
+ *   data-i18n="key"                text content (trusted markup with data-i18n-html)
+ *   data-i18n-count="3"            plural count for that message
+ *   data-i18n-attr="attr:key;..."  attribute values
+ *   data-i18n-params='{"n": 1}'    placeholder values (set by localize())
+ * The language comes from ?lang=, then the visitor's saved choice, then the
+ * browser. Missing keys fall back to English and are reported once each.
+ */
+class Translator {
+  constructor(messages = I18N_MESSAGES) {
+    this.messages = Object.fromEntries(Object.keys(Translator.LOCALES).map(locale => [locale, { ...messages[locale] }]));
+    this.missing = new Set();
+    this.unreported = new Set();
+    this.reportMissingSoon = debounce(() => this.reportMissing(), 1000);
+    this.switcher = document.querySelector('.language-switcher');
+    this.locale = this.getInitialLocale();
     
     this.init();
   }
   
   init() {
-    // Create mobile menu if it doesn't exist
-    this.createMobileMenu();
+    this.collectSourceText();
     
-    // Bind events
-    if (this.hamburger) {
-      this.hamburger.addEventListener('click', () => this.toggleMenu());
+    this.switcher?.querySelectorAll('[data-locale]').forEach(button => {
+      button.addEventListener('click', () => this.setLocale(button.dataset.locale));
+    });
+    
+    this.render();
+  }
+  
+  get intlLocale() {
+    return Translator.LOCALES[this.locale];
+  }
+  
+  isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(Translator.LOCALES, locale);
+  }
+  
+  getInitialLocale() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    const browser = navigator.languages?.length ? navigator.languages : [navigator.language];
+    
+    return [requested, getStoredItem(Translator.STORAGE_KEY), ...browser]
+      .filter(Boolean)
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(locale => this.isSupported(locale)) || Translator.DEFAULT_LOCALE;
+  }
+  
+  /**
+   * English page copy is whatever the markup says, unless the English
+   * catalogue already has the key
+   */
+  collectSourceText() {
+    const source = this.messages[Translator.DEFAULT_LOCALE];
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      const key = element.dataset.i18n;
+      if (!(key in source)) {
+        source[key] = Translator.collapse('i18nHtml' in element.dataset ? element.innerHTML : element.textContent);
+      }
+    });
+    
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      this.getAttributeKeys(element).forEach(([attribute, key]) => {
+        if (!(key in source) && element.hasAttribute(attribute)) {
+          source[key] = element.getAttribute(attribute);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Switch language, remember the choice and let components re-render
+   */
+  setLocale(locale) {
+    if (!this.isSupported(locale)) {
+      console.warn(`Unsupported language "${locale}"`);
+      return;
     }
     
-    // Close menu when clicking nav links
-    this.navLinks.forEach(link => {
-      link.addEventListener('click', () => this.closeMenu());
+    setStoredItem(Translator.STORAGE_KEY, locale);
+    if (locale === this.locale) return;
+    
+    const previous = this.locale;
+    this.locale = locale;
+    this.render();
+    document.dispatchEvent(new CustomEvent('locale:changed', { detail: { locale, previous } }));
+  }
+  
+  render() {
+    document.documentElement.lang = this.locale;
+    this.translate();
+    
+    this.switcher?.querySelectorAll('[data-locale]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.locale === this.locale));
+    });
+  }
+  
+  translate(root = document) {
+    root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(element => this.translateElement(element));
+  }
+  
+  translateElement(element) {
+    const { i18n: key, i18nCount, i18nParams } = element.dataset;
+    const params = i18nParams ? JSON.parse(i18nParams) : {};
+    if (i18nCount !== undefined) params.count = Number(i18nCount);
+    
+    if (key) {
+      const text = this.t(key, params);
+      if ('i18nHtml' in element.dataset) {
+        element.innerHTML = text;
+      } else {
+        element.textContent = text;
+      }
+    }
+    
+    if (element.dataset.i18nAttr) {
+      this.getAttributeKeys(element).forEach(([attribute, attributeKey]) => {
+        element.setAttribute(attribute, this.t(attributeKey, params));
+      });
+    }
+  }
+  
+  /**
+   * Bind an element created by script to a message, so it follows
+   * language changes the same way the page copy does. Params also fill
+   * any data-i18n-attr messages already on the element.
+   */
+  localize(element, key, params = {}) {
+    element.dataset.i18n = key;
+    if (Object.keys(params).length) {
+      element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+      delete element.dataset.i18nParams;
+    }
+    
+    this.translateElement(element);
+    return element;
+  }
+  
+  getAttributeKeys(element) {
+    return element.dataset.i18nAttr.split(';')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([attribute, key]) => attribute && key);
+  }
+  
+  /**
+   * The message for key in the current language, or the English one
+   */
+  t(key, params = {}) {
+    let message = this.messages[this.locale][key];
+    
+    if (message === undefined) {
+      this.noteMissing(key);
+      message = this.messages[Translator.DEFAULT_LOCALE][key] ?? key;
+    }
+    
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(this.intlLocale).select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
     });
+  }
+  
+  /**
+   * Warn in the console straight away; batch the error report
+   */
+  noteMissing(key) {
+    const id = `${this.locale}:${key}`;
+    if (this.missing.has(id)) return;
     
-    // Close menu when clicking outside
-    document.addEventListener('click', (e) => this.handleOutsideClick(e));
+    this.missing.add(id);
+    this.unreported.add(id);
+    console.warn(`Missing ${this.locale} translation for "${key}", using English`);
+    this.reportMissingSoon();
+  }
+  
+  reportMissing() {
+    if (!this.unreported.size) return;
     
-    // Handle window resize
-    window.addEventListener('resize', debounce(() => this.handleResize(), 250));
+    window.errorHandler?.logError({
+      type: 'missing_translation',
+      message: `Missing translations: ${[...this.unreported].join(', ')}`
+    });
+    this.unreported.clear();
+  }
+  
+  /**
+   * Config values may be { "en": ..., "es": ... } objects; anything else is
+   * returned unchanged
+   */
+  pick(value) {
+    if (!Translator.isLocalized(value)) return value;
+    return value[this.locale] ?? value[Translator.DEFAULT_LOCALE];
+  }
+  
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.intlLocale, options).format(value);
+  }
+  
+  formatDate(date, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(this.intlLocale, options).format(date);
+  }
+  
+  /**
+   * "a, b and c" / "a, b y c"
+   */
+  formatList(items) {
+    if (typeof Intl.ListFormat !== 'function') return items.join(', ');
+    return new Intl.ListFormat(this.intlLocale, { type: 'conjunction' }).format(items);
+  }
+  
+  /**
+   * Country name for an ISO code in the current language, or null
+   */
+  getRegionName(code) {
+    try {
+      return new Intl.DisplayNames([this.intlLocale], { type: 'region' }).of(code) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  static isLocalized(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      Translator.DEFAULT_LOCALE in value &&
+      Object.keys(value).every(key => Object.prototype.hasOwnProperty.call(Translator.LOCALES, key));
+  }
+  
+  static collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Supported languages and the locale each one formats with
+ */
+Translator.LOCALES = {
+  en: 'en-US',
+  es: 'es-US'
+};
+Translator.DEFAULT_LOCALE = 'en';
+Translator.STORAGE_KEY = 'locale';
+
+/**
+ * Shorthand for window.i18n.t()
+ */
+function t(key, params = {}) {
+  return window.i18n.t(key, params);
+}
+
+// ===================================
+// SITE CONFIGURATION
+// ===================================
+
+/**
+ * Contact details, hours, pricing and fonts shared by every component, read
+ * from <script type="application/json" id="siteConfig">. Markup opts in with:
+ *   data-config="path"                     text content
+ *   data-config-format="phone|amount"      how to render that text
+ *   data-config-href="tel|mailto|whatsapp:path"  link target
+ *   data-config-list="hours"               rendered opening hours
+ * Problems found on load are reported to the console and kept in `issues`.
+ */
+class SiteConfig {
+  constructor(source = document.getElementById('siteConfig')) {
+    this.issues = [];
+    this.values = this.parse(source);
+    
+    this.init();
+  }
+  
+  init() {
+    this.validate();
+    this.populate();
+    this.report();
+    
+    document.addEventListener('locale:changed', () => this.populate());
+  }
+  
+  parse(source) {
+    if (!source) {
+      this.issues.push('No #siteConfig block found on the page');
+      return {};
+    }
+    
+    try {
+      return JSON.parse(source.textContent);
+    } catch (error) {
+      this.issues.push(`#siteConfig is not valid JSON: ${error.message}`);
+      return {};
+    }
+  }
+  
+  /**
+   * Value at a dotted path; { "en": ..., "es": ... } text resolves to the
+   * current language
+   */
+  get(path, fallback = undefined) {
+    const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), this.values);
+    if (value === undefined) return fallback;
+    return window.i18n ? window.i18n.pick(value) : value;
+  }
+  
+  getWhatsAppNumber() {
+    return String(this.get('contact.whatsapp', '')).replace(/\D/g, '');
+  }
+  
+  getWhatsAppUrl(message = this.get('contact.whatsappMessage', '')) {
+    const text = message ? `?text=${encodeURIComponent(message)}` : '';
+    return `https://wa.me/${this.getWhatsAppNumber()}${text}`;
+  }
+  
+  format(value, format) {
+    switch (format) {
+      case 'phone':
+        return formatPhoneNumber(value, this.get('contact.country', DEFAULT_PHONE_COUNTRY));
+      case 'amount':
+        return window.i18n.formatNumber(Number(value));
+      default:
+        return String(value);
+    }
+  }
+  
+  /**
+   * Fills every data-config binding under root
+   */
+  populate(root = document) {
+    root.querySelectorAll('[data-config]').forEach(element => {
+      const value = this.get(element.dataset.config);
+      if (value !== undefined) {
+        element.textContent = this.format(value, element.dataset.configFormat);
+      }
+    });
+    
+    root.querySelectorAll('[data-config-href]').forEach(element => {
+      const [scheme, path] = element.dataset.configHref.split(':');
+      const value = this.get(path);
+      if (value === undefined) return;
+      
+      if (scheme === 'whatsapp') {
+        element.href = this.getWhatsAppUrl();
+      } else {
+        element.href = `${scheme}:${value}`;
+      }
+    });
+    
+    root.querySelectorAll('[data-config-list="hours"]').forEach(list => this.renderHours(list));
+  }
+  
+  renderHours(list) {
+    const label = this.get('hours.label', '');
+    list.innerHTML = '';
+    
+    this.get('hours.weekly', []).forEach(period => {
+      const item = document.createElement('li');
+      item.textContent = `${SiteConfig.describeDays(period.days)}: ${SiteConfig.formatTime(period.open)} - ${SiteConfig.formatTime(period.close)} ${label}`.trim();
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * "Monday - Friday" for a consecutive run, otherwise a comma list
+   */
+  static describeDays(days) {
+    // 7 January 2024 was a Sunday
+    const names = Array.from({ length: 7 }, (_, day) => window.i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'long' }));
+    const sorted = [...days].sort((a, b) => a - b);
+    const isRun = sorted.length > 2 && sorted.every((day, index) => index === 0 || day === sorted[index - 1] + 1);
+    
+    if (isRun) return `${names[sorted[0]]} - ${names[sorted[sorted.length - 1]]}`;
+    return sorted.map(day => names[day]).join(', ');
+  }
+  
+  /**
+   * "08:00" -> "8:00 AM" (or "8:00 a. m." in Spanish)
+   */
+  static formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return window.i18n.formatDate(new Date(2024, 0, 7, hours, minutes), { hour: 'numeric', minute: '2-digit' });
+  }
+  
+  validate() {
+    const issue = message => this.issues.push(message);
+    
+    SiteConfig.REQUIRED.forEach(path => {
+      const value = this.get(path);
+      if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) {
+        issue(`Missing required value "${path}"`);
+      }
+    });
+    
+    ['contact.phone', 'contact.whatsapp'].forEach(path => {
+      const value = this.get(path);
+      if (value !== undefined && !/^\+[1-9]\d{7,14}$/.test(value)) {
+        issue(`"${path}" should be an E.164 number like +12725550123, got "${value}"`);
+      }
+    });
+    
+    const email = this.get('company.email');
+    if (email !== undefined && !isValidEmail(email)) {
+      issue(`"company.email" is not a valid email address: "${email}"`);
+    }
+    
+    this.validateHours();
+    
+    Object.entries(this.get('pricing.plans', {})).forEach(([id, plan]) => {
+      if (!plan.name) issue(`Pricing plan "${id}" has no name`);
+      if (!(Number(plan.amount) > 0)) issue(`Pricing plan "${id}" needs a positive amount`);
+    });
+    
+    this.get('fonts', []).forEach(href => {
+      if (!/^https:\/\//.test(href)) issue(`Font URL should use https: "${href}"`);
+    });
+    
+    this.validateMarkup();
+  }
+  
+  validateHours() {
+    const timeZone = this.get('hours.timeZone');
+    if (timeZone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+      } catch (error) {
+        this.issues.push(`"hours.timeZone" is not a known time zone: "${timeZone}"`);
+      }
+    }
+    
+    const seenDays = new Set();
+    this.get('hours.weekly', []).forEach((period, index) => {
+      const valid = /^\d{2}:\d{2}$/;
+      if (!valid.test(period.open) || !valid.test(period.close) || period.open >= period.close) {
+        this.issues.push(`"hours.weekly[${index}]" needs HH:MM open and close times with open before close`);
+      }
+      (period.days || []).forEach(day => {
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+          this.issues.push(`"hours.weekly[${index}]" has an invalid day ${day} (use 0-6, Sunday = 0)`);
+        } else if (seenDays.has(day)) {
+          this.issues.push(`"hours.weekly" lists day ${day} more than once`);
+        }
+        seenDays.add(day);
+      });
+    });
+    
+    this.get('hours.holidays', []).forEach(date => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        this.issues.push(`"hours.holidays" has an invalid date "${date}" (use YYYY-MM-DD)`);
+      }
+    });
+  }
+  
+  /**
+   * Bindings that point nowhere, and contact links still hardcoded with a
+   * number that disagrees with the config
+   */
+  validateMarkup() {
+    document.querySelectorAll('[data-config]').forEach(element => {
+      if (this.get(element.dataset.config) === undefined) {
+        this.issues.push(`Markup binds to missing value "${element.dataset.config}"`);
+      }
+    });
+    
+    const phone = String(this.get('contact.phone', '')).replace(/\D/g, '');
+    const whatsapp = this.getWhatsAppNumber();
+    
+    document.querySelectorAll('a[href^="tel:"]:not([data-config-href]), a[href^="https://wa.me/"]:not([data-config-href])').forEach(link => {
+      const href = link.getAttribute('href');
+      const digits = href.startsWith('tel:') ? href.replace(/\D/g, '') : href.match(/wa\.me\/(\d+)/)?.[1];
+      const expected = href.startsWith('tel:') ? phone : whatsapp;
+      
+      if (expected && digits !== expected) {
+        this.issues.push(`Hardcoded link ${href.split('?')[0]} does not match the configured number`);
+      }
+    });
+  }
+  
+  report() {
+    if (!this.issues.length) return;
+    console.warn(`Site configuration has ${this.issues.length} problem(s):\n- ${this.issues.join('\n- ')}`);
+  }
+}
+
+SiteConfig.REQUIRED = [
+  'company.name',
+  'company.email',
+  'contact.phone',
+  'contact.whatsapp',
+  'hours.timeZone',
+  'hours.weekly',
+  'pricing.currencySymbol',
+  'pricing.plans',
+  'fonts'
+];
+
+// ===================================
+// COOKIE CONSENT
+// ===================================
+
+/**
+ * Cookie and tracking consent. Necessary storage is always on; analytics and
+ * marketing wait for the visitor's choice, which is stored with the policy
+ * version and an expiry so either change asks again. Global Privacy Control
+ * keeps marketing off and Do Not Track keeps both off. Every change is
+ * announced with a `consent:changed` event on the document.
+ */
+class CookieConsent {
+  constructor() {
+    this.banner = document.getElementById('consentBanner');
+    this.dialog = document.getElementById('consentPreferences');
+    this.signals = this.getBrowserSignals();
+    this.choice = this.loadChoice();
+    
+    this.init();
+  }
+  
+  init() {
+    [this.banner, this.dialog].forEach(container => {
+      container?.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+        if (action) this.handleAction(action);
+      });
+    });
+    
+    document.querySelectorAll('[data-consent-open]').forEach(button => {
+      button.addEventListener('click', () => this.openPreferences());
+    });
+    
+    document.addEventListener('locale:changed', () => this.renderSignalNote());
+    
+    this.renderBanner();
+  }
+  
+  getBrowserSignals() {
+    const dnt = [navigator.doNotTrack, window.doNotTrack].some(value => value === '1' || value === 'yes');
+    return { gpc: navigator.globalPrivacyControl === true, dnt };
+  }
+  
+  /**
+   * Categories the browser has opted out of, with the signal responsible
+   */
+  getLocked() {
+    const locked = {};
+    if (this.signals.dnt) {
+      locked.analytics = 'Do Not Track';
+      locked.marketing = 'Do Not Track';
+    }
+    if (this.signals.gpc) {
+      locked.marketing = 'Global Privacy Control';
+    }
+    return locked;
+  }
+  
+  loadChoice() {
+    const stored = getStoredItem(CookieConsent.STORAGE_KEY);
+    
+    if (!stored || stored.version !== CookieConsent.VERSION || !(Date.parse(stored.expiresAt) > Date.now())) {
+      return null;
+    }
+    return stored;
+  }
+  
+  /**
+   * True once nothing is left to ask: a current choice is stored, or the
+   * browser's signals already settle every optional category
+   */
+  hasDecided() {
+    const locked = this.getLocked();
+    return this.choice !== null || CookieConsent.OPTIONAL_CATEGORIES.every(category => locked[category]);
+  }
+  
+  has(category) {
+    if (category === 'necessary') return true;
+    if (this.getLocked()[category]) return false;
+    return this.choice?.categories[category] === true;
+  }
+  
+  getState() {
+    return Object.fromEntries(['necessary', ...CookieConsent.OPTIONAL_CATEGORIES].map(category => [category, this.has(category)]));
+  }
+  
+  update(categories, source) {
+    const previous = this.getState();
+    const locked = this.getLocked();
+    const now = new Date();
+    
+    this.choice = {
+      version: CookieConsent.VERSION,
+      categories: Object.fromEntries(CookieConsent.OPTIONAL_CATEGORIES.map(category => [
+        category,
+        !locked[category] && categories[category] === true
+      ])),
+      source,
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + CookieConsent.EXPIRY_DAYS * 86400000).toISOString()
+    };
+    setStoredItem(CookieConsent.STORAGE_KEY, this.choice);
+    this.renderBanner();
+    
+    document.dispatchEvent(new CustomEvent('consent:changed', {
+      detail: { granted: this.getState(), previous }
+    }));
+  }
+  
+  handleAction(action) {
+    const all = value => Object.fromEntries(CookieConsent.OPTIONAL_CATEGORIES.map(category => [category, value]));
+    
+    switch (action) {
+      case 'accept':
+        this.update(all(true), 'accept-all');
+        break;
+      case 'reject':
+        this.update(all(false), 'reject-all');
+        break;
+      case 'save':
+        this.update(this.readPreferences(), 'preferences');
+        break;
+      case 'preferences':
+        this.openPreferences();
+        return;
+      default:
+        return;
+    }
+    
+    window.modalManager?.close(this.dialog);
+  }
+  
+  readPreferences() {
+    return Object.fromEntries(CookieConsent.OPTIONAL_CATEGORIES.map(category => [
+      category,
+      Boolean(this.dialog?.querySelector(`[data-consent-category="${category}"]`)?.checked)
+    ]));
+  }
+  
+  openPreferences() {
+    if (!this.dialog) return;
+    
+    const locked = this.getLocked();
+    CookieConsent.OPTIONAL_CATEGORIES.forEach(category => {
+      const checkbox = this.dialog.querySelector(`[data-consent-category="${category}"]`);
+      if (!checkbox) return;
+      checkbox.checked = this.has(category);
+      checkbox.disabled = Boolean(locked[category]);
+    });
+    
+    this.renderSignalNote();
+    window.modalManager?.open('consentPreferences');
+  }
+  
+  /**
+   * Explains which browser signal keeps a category switched off
+   */
+  renderSignalNote() {
+    const note = this.dialog?.querySelector('.consent-signal');
+    if (!note) return;
+    
+    const locked = this.getLocked();
+    const signals = [...new Set(Object.values(locked))];
+    const categories = Object.keys(locked).map(category => t(`consent.category.${category}`));
+    
+    note.hidden = !signals.length;
+    note.textContent = signals.length
+      ? t('consent.signal', { signals: window.i18n.formatList(signals), categories: window.i18n.formatList(categories) })
+      : '';
+  }
+  
+  renderBanner() {
+    if (this.banner) {
+      this.banner.hidden = this.hasDecided();
+    }
+  }
+}
+
+CookieConsent.VERSION = '2026-10-01';
+CookieConsent.EXPIRY_DAYS = 180;
+CookieConsent.STORAGE_KEY = 'cookieConsent';
+CookieConsent.OPTIONAL_CATEGORIES = ['analytics', 'marketing'];
+
+// ===================================
+// ANALYTICS
+// ===================================
+
+/**
+ * Every event the site sends, with the type of each property. Events and
+ * properties that aren't listed are dropped before they reach an adapter.
+ * `meta` names the Meta Pixel standard event to report instead of a custom one.
+ */
+const ANALYTICS_EVENTS = {
+  whatsapp_click: {
+    properties: { source: 'string', phone_number: 'string', online: 'boolean' },
+    required: ['source'],
+    meta: 'Contact'
+  },
+  phone_click: {
+    properties: { source: 'string', phone_number: 'string' },
+    required: ['phone_number'],
+    meta: 'Contact'
+  },
+  email_click: {
+    properties: { email: 'string' },
+    required: ['email'],
+    meta: 'Contact'
+  },
+  form_submission: {
+    properties: { form_type: 'string' },
+    required: ['form_type']
+  },
+  form_abandoned: {
+    properties: { form_type: 'string', last_field: 'string', fields_touched: 'number', seconds: 'number' },
+    required: ['form_type', 'last_field']
+  },
+  lead_submitted: {
+    properties: { form_type: 'string', priority: 'string', queue: 'string', seconds_to_submit: 'number' },
+    required: ['form_type'],
+    meta: 'Lead'
+  },
+  plan_selected: {
+    properties: { plan: 'string' },
+    required: ['plan']
+  },
+  service_selected: {
+    properties: { service: 'string' },
+    required: ['service']
+  },
+  faq_opened: {
+    properties: { question: 'string', faq_id: 'string', position: 'number', source: 'string' },
+    required: ['question']
+  },
+  faq_search_no_results: {
+    properties: { query: 'string' },
+    required: ['query']
+  },
+  consultation_booked: {
+    properties: { lead_id: 'string', days_ahead: 'number' },
+    required: [],
+    meta: 'Schedule'
+  },
+  experiment_exposure: {
+    properties: { experiment: 'string', variant: 'string' },
+    required: ['experiment', 'variant']
+  },
+  experiment_conversion: {
+    properties: { experiment: 'string', variant: 'string', goal: 'string' },
+    required: ['experiment', 'variant', 'goal']
+  }
+};
+
+/**
+ * Properties any event may carry, filled in by the pipeline itself
+ */
+const ANALYTICS_CONTEXT_PROPERTIES = {
+  traffic_source: 'string',
+  traffic_medium: 'string',
+  utm_source: 'string',
+  utm_medium: 'string',
+  utm_campaign: 'string',
+  utm_term: 'string',
+  utm_content: 'string',
+  first_touch_source: 'string',
+  first_touch_medium: 'string',
+  first_touch_campaign: 'string',
+  locale: 'string'
+};
+
+/**
+ * Google Analytics 4 through the page's gtag snippet
+ */
+class GoogleAnalyticsAdapter {
+  constructor() {
+    this.name = 'ga4';
+    this.category = 'analytics';
+  }
+  
+  isAvailable() {
+    return typeof window.gtag === 'function';
+  }
+  
+  send(event) {
+    window.gtag('event', event.name, event.properties);
+  }
+  
+  setConsent(granted) {
+    if (this.isAvailable()) {
+      window.gtag('consent', 'update', { analytics_storage: granted ? 'granted' : 'denied' });
+    }
+    if (!granted) expireCookies(['_ga', '_gid']);
+  }
+}
+
+/**
+ * Meta Pixel through the page's fbq snippet
+ */
+class MetaPixelAdapter {
+  constructor() {
+    this.name = 'meta';
+    this.category = 'marketing';
+  }
+  
+  isAvailable() {
+    return typeof window.fbq === 'function';
+  }
+  
+  send(event, definition) {
+    if (definition.meta) {
+      window.fbq('track', definition.meta, event.properties);
+    } else {
+      window.fbq('trackCustom', event.name, event.properties);
+    }
+  }
+  
+  setConsent(granted) {
+    if (this.isAvailable()) {
+      window.fbq('consent', granted ? 'grant' : 'revoke');
+    }
+    if (!granted) expireCookies(['_fbp', '_fbc']);
+  }
+}
+
+/**
+ * Our own collector. Events wait in a queue and go out together, either when
+ * the batch is full or when the page is hidden, using sendBeacon so the last
+ * batch survives navigation.
+ */
+class FirstPartyAdapter {
+  constructor({ endpoint = '/api/events', batchSize = 10 } = {}) {
+    this.name = 'first-party';
+    this.category = 'analytics';
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.queue = [];
+  }
+  
+  isAvailable() {
+    return Boolean(this.endpoint);
+  }
+  
+  send(event) {
+    this.queue.push(event);
+  }
+  
+  shouldFlush() {
+    return this.queue.length >= this.batchSize;
+  }
+  
+  setConsent(granted) {
+    // Anything not yet sent was collected under consent that no longer holds
+    if (!granted) this.queue = [];
+  }
+  
+  /**
+   * Send everything queued. Returns the number of events sent.
+   */
+  flush() {
+    if (!this.queue.length) return 0;
+    
+    const events = this.queue.splice(0);
+    sendBeaconJSON(this.endpoint, { sentAt: new Date().toISOString(), events });
+    
+    return events.length;
+  }
+}
+
+/**
+ * Event pipeline: checks each event against the catalogue, stamps it and
+ * hands it to every available adapter whose consent category is granted.
+ * Events tracked before the visitor has chosen are held and replayed once
+ * they do. Add ?analyticsDebug=on to the URL to watch events in an on-page
+ * panel (?analyticsDebug=off to stop).
+ */
+class Analytics {
+  static isDebugEnabled() {
+    const param = new URLSearchParams(window.location.search).get('analyticsDebug');
+    if (param !== null) {
+      setStoredItem(Analytics.DEBUG_KEY, param !== 'off');
+    }
+    return getStoredItem(Analytics.DEBUG_KEY, false) === true;
+  }
+  
+  constructor(options = window.siteConfig?.get('analytics') || {}, consent = window.cookieConsent, attribution = window.attribution) {
+    this.catalogue = ANALYTICS_EVENTS;
+    this.consent = consent;
+    this.attribution = attribution;
+    this.pending = [];
+    this.maxPending = 50;
+    this.sessionId = this.getSessionId();
+    this.adapters = [
+      new GoogleAnalyticsAdapter(),
+      new MetaPixelAdapter(),
+      new FirstPartyAdapter(options)
+    ];
+    this.panel = Analytics.isDebugEnabled() ? new AnalyticsDebugPanel() : null;
+    
+    this.init();
+  }
+  
+  init() {
+    window.addEventListener('pagehide', () => this.flush());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    document.addEventListener('consent:changed', () => this.applyConsent());
+    
+    if (this.consent?.hasDecided()) {
+      this.applyConsent();
+    }
+  }
+  
+  isAllowed(adapter) {
+    return !this.consent || this.consent.has(adapter.category);
+  }
+  
+  /**
+   * Tell adapters where they stand, then release or discard held events
+   */
+  applyConsent() {
+    this.adapters.forEach(adapter => adapter.setConsent?.(this.isAllowed(adapter)));
+    
+    const pending = this.pending.splice(0);
+    pending.forEach(({ event, definition, problems }) => this.deliver(event, definition, problems));
+  }
+  
+  getSessionId() {
+    try {
+      let id = window.sessionStorage.getItem(Analytics.SESSION_KEY);
+      if (!id) {
+        id = generateId();
+        window.sessionStorage.setItem(Analytics.SESSION_KEY, id);
+      }
+      return id;
+    } catch (error) {
+      return generateId();
+    }
+  }
+  
+  addAdapter(adapter) {
+    this.adapters.push(adapter);
+  }
+  
+  track(name, properties = {}) {
+    const definition = this.catalogue[name];
+    if (!definition) {
+      this.reportProblems(name, ['not in the event catalogue'], true);
+      return null;
+    }
+    
+    const context = { ...this.attribution?.getEventProperties(), locale: window.i18n?.locale };
+    const { values, problems, missing } = this.check(definition, { ...context, ...properties });
+    if (problems.length) {
+      this.reportProblems(name, problems, missing);
+    }
+    if (missing) return null;
+    
+    const event = {
+      id: generateId(),
+      name,
+      properties: values,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId,
+      page: window.location.pathname
+    };
+    
+    if (this.consent && !this.consent.hasDecided()) {
+      this.pending = [...this.pending, { event, definition, problems }].slice(-this.maxPending);
+      this.panel?.addEvent(event, ['waiting for consent'], problems);
+      return event;
+    }
+    
+    this.deliver(event, definition, problems);
+    return event;
+  }
+  
+  deliver(event, definition, problems = []) {
+    const delivered = this.adapters
+      .filter(adapter => adapter.isAvailable() && this.isAllowed(adapter))
+      .filter(adapter => {
+        try {
+          adapter.send(event, definition);
+          return true;
+        } catch (error) {
+          console.error(`Analytics adapter "${adapter.name}" failed:`, error);
+          return false;
+        }
+      })
+      .map(adapter => adapter.name);
+    
+    this.panel?.addEvent(event, delivered, problems);
+    
+    if (this.adapters.some(adapter => adapter.shouldFlush?.())) {
+      this.flush();
+    }
+  }
+  
+  /**
+   * Keep catalogued properties of the right type; note anything else
+   */
+  check(definition, properties) {
+    const values = {};
+    const problems = [];
+    
+    Object.entries(properties).forEach(([key, value]) => {
+      const type = definition.properties[key] || ANALYTICS_CONTEXT_PROPERTIES[key];
+      if (value === undefined || value === null || value === '') return;
+      
+      if (!type) {
+        problems.push(`unknown property "${key}" dropped`);
+      } else if (typeof value !== type) {
+        problems.push(`"${key}" should be a ${type}, got ${typeof value}`);
+      } else {
+        values[key] = value;
+      }
+    });
+    
+    const absent = definition.required.filter(key => !(key in values));
+    absent.forEach(key => problems.push(`required property "${key}" is missing`));
+    
+    return { values, problems, missing: absent.length > 0 };
+  }
+  
+  reportProblems(name, problems, dropped) {
+    const message = `Analytics event "${name}"${dropped ? ' dropped' : ''}: ${problems.join('; ')}`;
+    console.warn(message);
+    this.panel?.addNote(message);
+  }
+  
+  flush() {
+    this.adapters.forEach(adapter => {
+      const count = adapter.flush?.() || 0;
+      if (count) this.panel?.addNote(`Sent ${count} event(s) to ${adapter.name}`);
+    });
+  }
+}
+
+Analytics.DEBUG_KEY = 'analyticsDebug';
+Analytics.SESSION_KEY = 'analyticsSession';
+
+/**
+ * On-page list of tracked events for checking tags without devtools
+ */
+class AnalyticsDebugPanel {
+  constructor() {
+    this.maxEntries = 50;
+    this.element = this.createPanel();
+    this.list = this.element.querySelector('.analytics-debug-list');
+    this.countElement = this.element.querySelector('.analytics-debug-count');
+    document.body.appendChild(this.element);
+  }
+  
+  createPanel() {
+    const panel = document.createElement('aside');
+    panel.className = 'analytics-debug';
+    panel.setAttribute('aria-label', 'Analytics debug');
+    panel.innerHTML = `
+      <div class="analytics-debug-header">
+        <strong>Analytics <span class="analytics-debug-count">0</span></strong>
+        <button type="button" data-debug-action="clear">Clear</button>
+        <button type="button" data-debug-action="toggle" aria-expanded="true">Hide</button>
+      </div>
+      <ol class="analytics-debug-list" aria-live="polite"></ol>
+    `;
+    
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-debug-action]')?.dataset.debugAction;
+      if (action === 'clear') this.clear();
+      if (action === 'toggle') this.toggle(e.target);
+    });
+    
+    return panel;
+  }
+  
+  addEvent(event, delivered, problems) {
+    const item = document.createElement('li');
+    const heading = document.createElement('div');
+    const details = document.createElement('pre');
+    
+    heading.className = 'analytics-debug-event';
+    heading.textContent = `${event.name} → ${delivered.join(', ') || 'no adapters'}`;
+    details.textContent = JSON.stringify(event.properties, null, 2);
+    item.append(heading, details);
+    
+    if (problems.length) {
+      item.classList.add('has-problems');
+      item.title = problems.join('\n');
+    }
+    
+    this.prepend(item);
+  }
+  
+  addNote(message) {
+    const item = document.createElement('li');
+    item.className = 'analytics-debug-note';
+    item.textContent = message;
+    this.prepend(item);
+  }
+  
+  prepend(item) {
+    this.list.prepend(item);
+    while (this.list.children.length > this.maxEntries) {
+      this.list.lastElementChild.remove();
+    }
+    this.countElement.textContent = this.list.querySelectorAll('.analytics-debug-event').length;
+  }
+  
+  clear() {
+    this.list.innerHTML = '';
+    this.countElement.textContent = '0';
+  }
+  
+  toggle(button) {
+    const hidden = this.list.hidden = !this.list.hidden;
+    button.textContent = hidden ? 'Show' : 'Hide';
+    button.setAttribute('aria-expanded', String(!hidden));
+  }
+}
+
+// ===================================
+// MARKETING ATTRIBUTION
+// ===================================
+
+/**
+ * Which campaign brought the visitor. Each arrival is recorded as a touch
+ * (UTM tags, ad click ids, referrer, landing page, time). The first touch is
+ * kept for the whole attribution window; the last touch is replaced by any
+ * later campaign or outside referral, but not by direct visits.
+ *
+ * Touches outlive the visit only with analytics consent, and ad click ids
+ * (gclid/fbclid) are kept only with marketing consent.
+ */
+class MarketingAttribution {
+  constructor(consent = window.cookieConsent) {
+    this.consent = consent;
+    this.windowDays = window.siteConfig?.get('analytics.attributionWindowDays', 90);
+    this.state = this.load();
+    
+    this.init();
+  }
+  
+  init() {
+    this.record(this.captureTouch());
+    
+    document.addEventListener('consent:changed', () => {
+      if (this.canPersist()) {
+        this.save();
+      } else {
+        removeStoredItem(MarketingAttribution.STORAGE_KEY);
+      }
+    });
+  }
+  
+  canPersist() {
+    return !this.consent || this.consent.has('analytics');
+  }
+  
+  load() {
+    const stored = this.canPersist() ? getStoredItem(MarketingAttribution.STORAGE_KEY) : null;
+    
+    if (!stored?.lastTouch || !(Date.parse(stored.expiresAt) > Date.now())) {
+      return null;
+    }
+    return stored;
+  }
+  
+  save() {
+    if (!this.state || !this.canPersist()) return;
+    
+    setStoredItem(MarketingAttribution.STORAGE_KEY, {
+      firstTouch: this.sanitize(this.state.firstTouch),
+      lastTouch: this.sanitize(this.state.lastTouch),
+      expiresAt: this.state.expiresAt
+    });
+  }
+  
+  /**
+   * Describe how this page view was reached
+   */
+  captureTouch(location = window.location, referrer = document.referrer) {
+    const params = new URLSearchParams(location.search);
+    const touch = { timestamp: new Date().toISOString() };
+    
+    MarketingAttribution.PARAMETERS.forEach(param => {
+      const value = params.get(param)?.trim();
+      if (value) touch[param] = value.slice(0, 200);
+    });
+    
+    const referrerUrl = this.parseUrl(referrer);
+    if (referrerUrl && referrerUrl.hostname !== location.hostname) {
+      touch.referrer = `${referrerUrl.origin}${referrerUrl.pathname}`;
+    }
+    touch.landingPage = `${location.origin}${location.pathname}`;
+    
+    // Internal links leave no referrer above, so they count as direct
+    touch.source = touch.utm_source ||
+      (touch.gclid && 'google') ||
+      (touch.fbclid && 'facebook') ||
+      (touch.referrer && referrerUrl.hostname) ||
+      '(direct)';
+    touch.medium = touch.utm_medium ||
+      (touch.gclid && 'cpc') ||
+      (touch.fbclid && 'paid_social') ||
+      (touch.referrer && 'referral') ||
+      '(none)';
+    
+    return touch;
+  }
+  
+  parseUrl(value) {
+    try {
+      return value ? new URL(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  isDirect(touch) {
+    return touch.source === '(direct)' || (!touch.referrer && MarketingAttribution.PARAMETERS.every(param => !touch[param]));
+  }
+  
+  record(touch) {
+    const expiresAt = new Date(Date.now() + this.windowDays * 86400000).toISOString();
+    
+    if (!this.state) {
+      this.state = { firstTouch: touch, lastTouch: touch, expiresAt };
+    } else if (!this.isDirect(touch)) {
+      this.state.lastTouch = touch;
+      this.state.expiresAt = expiresAt;
+    }
+    
+    this.save();
+  }
+  
+  /**
+   * Drop ad click ids unless marketing consent covers them
+   */
+  sanitize(touch) {
+    if (!touch || !this.consent || this.consent.has('marketing')) return touch;
+    
+    const { gclid, fbclid, ...rest } = touch;
+    return rest;
+  }
+  
+  /**
+   * First and last touch for the lead payload
+   */
+  getPayload() {
+    if (!this.state) return null;
+    
+    return {
+      firstTouch: this.sanitize(this.state.firstTouch),
+      lastTouch: this.sanitize(this.state.lastTouch),
+      windowDays: this.windowDays
+    };
+  }
+  
+  /**
+   * Flat campaign properties added to every analytics event. utm_* are only
+   * ever the tags from the URL; the source and medium derived from click ids
+   * and referrers go in traffic_source and traffic_medium.
+   */
+  getEventProperties() {
+    const { firstTouch, lastTouch } = this.state || {};
+    if (!lastTouch) return {};
+    
+    const properties = {
+      traffic_source: lastTouch.source,
+      traffic_medium: lastTouch.medium,
+      utm_source: lastTouch.utm_source,
+      utm_medium: lastTouch.utm_medium,
+      utm_campaign: lastTouch.utm_campaign,
+      utm_term: lastTouch.utm_term,
+      utm_content: lastTouch.utm_content,
+      first_touch_source: firstTouch.source,
+      first_touch_medium: firstTouch.medium,
+      first_touch_campaign: firstTouch.utm_campaign
+    };
+    
+    return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined));
+  }
+}
+
+MarketingAttribution.STORAGE_KEY = 'marketingAttribution';
+MarketingAttribution.PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+
+// ===================================
+// EXPERIMENTS
+// ===================================
+
+/**
+ * A/B tests defined in <script type="application/json" id="experiments">, so
+ * a new test is a markup change rather than a code change:
+ *
+ *   { "id": "pricing-cta", "active": true,
+ *     "variants": [
+ *       { "id": "control", "weight": 50 },
+ *       { "id": "results", "weight": 50,
+ *         "changes": [{ "selector": ".pricing-btn", "text": "..." }] }
+ *     ],
+ *     "goals": [{ "id": "plan", "event": "plan:selected" },
+ *               { "id": "whatsapp", "selector": "a[href^='https://wa.me/']" }] }
+ *
+ * A change sets `text`, `html`, `addClass` and/or `attributes` on every match;
+ * text may be a { "en": ..., "es": ... } object, re-applied on language change.
+ * A goal converts on a document event or on a click inside `selector`.
+ *
+ * Visitors are bucketed by hashing a random visitor id with the experiment
+ * id, and the assignment is stored so later weight changes don't move them.
+ * Only visitors with analytics consent are enrolled: the id is stored when
+ * consent is given, and until a page view finds it stored the visitor sees
+ * each test's control (the "control" variant, or the first) and nothing is
+ * tracked.
+ * Variants are applied as soon as this script runs; elements marked
+ * data-experiment stay hidden until then so the control never flashes.
+ * QA can force variants with ?experiment=pricing-cta:results,fab-placement:left
+ * (forced views are not stored or tracked).
+ */
+class ExperimentManager {
+  constructor(source = document.getElementById('experiments')) {
+    this.experiments = this.parse(source);
+    // Consent is only known later (see connectConsent), but nothing is
+    // stored without it, so a stored id means the visitor may be enrolled
+    const stored = getStoredItem(ExperimentManager.STORAGE_KEY);
+    this.enrolled = Boolean(stored?.visitorId);
+    this.state = this.enrolled ? stored : {};
+    this.state.assignments = this.state.assignments || {};
+    this.overrides = this.getOverrides();
+    this.active = [];
+    this.outbox = [];
+    this.track = null;
+    this.consent = null;
+    
+    this.init();
+  }
+  
+  init() {
+    try {
+      this.experiments.filter(experiment => experiment.active !== false).forEach(experiment => {
+        this.run(experiment);
+      });
+    } finally {
+      document.documentElement.classList.remove('experiments-pending');
+    }
+    
+    this.listenForGoals();
+    
+    // Switching language re-translates the page, so put the variants back
+    document.addEventListener('locale:changed', () => {
+      this.active.forEach(({ variant }) => this.apply(variant));
+    });
+  }
+  
+  parse(source) {
+    if (!source) return [];
+    
+    try {
+      const experiments = JSON.parse(source.textContent).experiments || [];
+      return experiments.filter(experiment => {
+        const valid = experiment.id && Array.isArray(experiment.variants) && experiment.variants.length > 0;
+        if (!valid) console.warn('Skipping invalid experiment definition:', experiment);
+        return valid;
+      });
+    } catch (error) {
+      console.error('Invalid experiment definitions, running none:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Forced variants from ?experiment=id:variant,id:variant
+   */
+  getOverrides() {
+    const param = new URLSearchParams(window.location.search).get('experiment') || '';
+    
+    return Object.fromEntries(param.split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([id, variant]) => id && variant));
+  }
+  
+  run(experiment) {
+    const forcedId = this.overrides[experiment.id];
+    const forced = forcedId && experiment.variants.find(variant => variant.id === forcedId);
+    if (forcedId && !forced) {
+      console.warn(`Experiment "${experiment.id}" has no variant "${forcedId}"`);
+    }
+    
+    const tracked = !forced && this.enrolled;
+    const variant = forced || (this.enrolled ? this.assign(experiment) : this.getControl(experiment));
+    this.apply(variant);
+    this.active.push({ experiment, variant, tracked });
+    
+    if (tracked) {
+      this.emit('experiment_exposure', { experiment: experiment.id, variant: variant.id });
+    }
+  }
+  
+  getControl(experiment) {
+    return experiment.variants.find(variant => variant.id === 'control') || experiment.variants[0];
+  }
+  
+  /**
+   * Sticky, deterministic variant for this visitor
+   */
+  assign(experiment) {
+    const stored = this.state.assignments[experiment.id];
+    const existing = stored && experiment.variants.find(variant => variant.id === stored.variant);
+    if (existing) return existing;
+    
+    const variant = this.pick(experiment.variants, this.hash(`${this.state.visitorId}:${experiment.id}`));
+    this.state.assignments[experiment.id] = { variant: variant.id, assignedAt: new Date().toISOString(), converted: [] };
+    return variant;
+  }
+  
+  pick(variants, position) {
+    const weights = variants.map(variant => Math.max(0, Number(variant.weight ?? 1)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!total) return variants[0];
+    
+    let threshold = position * total;
+    return variants.find((variant, index) => (threshold -= weights[index]) < 0) || variants[variants.length - 1];
+  }
+  
+  /**
+   * Position of the key in [0, 1)
+   */
+  hash(key) {
+    return fnv1a(key) / 4294967296;
+  }
+  
+  apply(variant) {
+    const localize = value => (window.i18n ? window.i18n.pick(value) : value);
+    
+    (variant.changes || []).forEach(change => {
+      try {
+        document.querySelectorAll(change.selector).forEach(element => {
+          if (change.text !== undefined) element.textContent = localize(change.text);
+          if (change.html !== undefined) element.innerHTML = localize(change.html);
+          if (change.addClass) element.classList.add(...change.addClass.split(' ').filter(Boolean));
+          Object.entries(change.attributes || {}).forEach(([name, value]) => element.setAttribute(name, localize(value)));
+        });
+      } catch (error) {
+        console.error(`Could not apply experiment change to "${change.selector}":`, error);
+      }
+    });
+  }
+  
+  listenForGoals() {
+    this.active.filter(({ tracked }) => tracked).forEach(({ experiment, variant }) => {
+      (experiment.goals || []).forEach(goal => {
+        const convert = () => this.convert(experiment, variant, goal);
+        
+        if (goal.event) {
+          document.addEventListener(goal.event, convert);
+        }
+        if (goal.selector) {
+          document.addEventListener('click', (e) => {
+            if (e.target.closest?.(goal.selector)) convert();
+          });
+        }
+      });
+    });
+  }
+  
+  /**
+   * Count each goal once per visitor
+   */
+  convert(experiment, variant, goal) {
+    const assignment = this.state.assignments[experiment.id];
+    if (!assignment || assignment.converted.includes(goal.id)) return;
+    
+    assignment.converted.push(goal.id);
+    this.save();
+    this.emit('experiment_conversion', { experiment: experiment.id, variant: variant.id, goal: goal.id });
+  }
+  
+  /**
+   * Start storing the visitor id and assignments once analytics consent
+   * allows it, and drop them if it's withdrawn. Consent is only known after
+   * the variants have been applied, hence the late connection.
+   */
+  connectConsent(consent) {
+    this.consent = consent;
+    
+    const update = () => {
+      if (this.canPersist()) {
+        // Enrols the visitor from their next page view
+        this.state.visitorId = this.state.visitorId || generateId();
+        this.save();
+      } else {
+        removeStoredItem(ExperimentManager.STORAGE_KEY);
+      }
+    };
+    
+    update();
+    document.addEventListener('consent:changed', update);
+  }
+  
+  canPersist() {
+    return Boolean(this.consent?.has('analytics'));
+  }
+  
+  save() {
+    if (this.canPersist()) {
+      setStoredItem(ExperimentManager.STORAGE_KEY, this.state);
+    }
+  }
+  
+  getVariant(experimentId) {
+    return this.active.find(({ experiment }) => experiment.id === experimentId)?.variant.id || null;
+  }
+  
+  /**
+   * Route exposures and conversions to a tracker; anything emitted before
+   * one is connected is delivered on connection
+   */
+  connect(track) {
+    this.track = track;
+    this.outbox.splice(0).forEach(([name, properties]) => track(name, properties));
+  }
+  
+  emit(name, properties) {
+    if (this.track) {
+      this.track(name, properties);
+    } else {
+      this.outbox.push([name, properties]);
+    }
+  }
+}
+
+ExperimentManager.STORAGE_KEY = 'experiments';
+
+// ===================================
+// NOTIFICATIONS
+// ===================================
+
+/**
+ * Toast notifications for every component, available as window.notifications:
+ *
+ *   notifications.success(t('draft.forgotten'));
+ *   notifications.error(message, { duration: 0, actions: [{ label, onClick }] });
+ *
+ * Messages and action labels are rendered as text, never HTML. Up to
+ * MAX_VISIBLE toasts stack in the corner and the rest wait their turn; a
+ * repeat of a message already on screen restarts its timer instead of
+ * stacking. Timers pause while a toast is hovered or focused, and Escape
+ * dismisses the focused toast. Every message is read out by a live region,
+ * assertively for errors.
+ */
+class NotificationCenter {
+  constructor() {
+    this.visible = [];
+    this.queue = [];
+    this.nextId = 1;
+    
+    this.init();
+  }
+  
+  init() {
+    this.stack = document.createElement('div');
+    this.stack.className = 'notification-stack';
+    
+    this.politeRegion = this.createLiveRegion('polite');
+    this.assertiveRegion = this.createLiveRegion('assertive');
+    
+    document.body.append(this.stack, this.politeRegion, this.assertiveRegion);
+  }
+  
+  createLiveRegion(politeness) {
+    const region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    return region;
+  }
+  
+  /**
+   * Shows a notification and returns its id. Options:
+   *   type         success | error | info | warning
+   *   duration     ms on screen (0 keeps it until dismissed)
+   *   actions      [{ label, onClick, dismiss = true }]
+   *   dismissible  show a close button
+   */
+  show(message, { type = 'info', duration, actions = [], dismissible = true } = {}) {
+    const text = String(message ?? '');
+    const kind = NotificationCenter.DURATIONS[type] === undefined ? 'info' : type;
+    
+    const repeat = [...this.visible, ...this.queue].find(entry => entry.text === text && entry.type === kind);
+    if (repeat) {
+      this.restart(repeat);
+      return repeat.id;
+    }
+    
+    const notification = {
+      id: this.nextId++,
+      text,
+      type: kind,
+      actions,
+      dismissible,
+      duration: duration ?? NotificationCenter.DURATIONS[kind]
+    };
+    
+    if (this.visible.length < NotificationCenter.MAX_VISIBLE) {
+      this.display(notification);
+    } else {
+      this.queue.push(notification);
+    }
+    
+    return notification.id;
+  }
+  
+  success(message, options = {}) {
+    return this.show(message, { ...options, type: 'success' });
+  }
+  
+  error(message, options = {}) {
+    return this.show(message, { ...options, type: 'error' });
+  }
+  
+  info(message, options = {}) {
+    return this.show(message, { ...options, type: 'info' });
+  }
+  
+  warning(message, options = {}) {
+    return this.show(message, { ...options, type: 'warning' });
+  }
+  
+  display(notification) {
+    const element = document.createElement('div');
+    element.className = `notification notification-${notification.type}`;
+    
+    const content = document.createElement('div');
+    content.className = 'notification-content';
+    
+    const message = document.createElement('p');
+    message.className = 'notification-message';
+    message.textContent = notification.text;
+    content.appendChild(message);
+    
+    if (notification.actions.length) {
+      const actions = document.createElement('div');
+      actions.className = 'notification-actions';
+      
+      notification.actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          try {
+            action.onClick?.();
+          } finally {
+            if (action.dismiss !== false) this.dismiss(notification.id);
+          }
+        });
+        actions.appendChild(button);
+      });
+      
+      content.appendChild(actions);
+    }
+    
+    element.appendChild(content);
+    
+    if (notification.dismissible) {
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'notification-close';
+      close.textContent = '×';
+      close.setAttribute('aria-label', t('notifications.close'));
+      close.addEventListener('click', () => this.dismiss(notification.id));
+      element.appendChild(close);
+    }
+    
+    element.addEventListener('mouseenter', () => this.pause(notification));
+    element.addEventListener('mouseleave', () => {
+      if (!element.contains(document.activeElement)) this.resume(notification);
+    });
+    element.addEventListener('focusin', () => this.pause(notification));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) this.resume(notification);
+    });
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.dismiss(notification.id);
+    });
+    
+    notification.element = element;
+    notification.remaining = notification.duration;
+    this.visible.push(notification);
+    this.stack.appendChild(element);
+    
+    // Let the initial state paint so the entrance transitions
+    setTimeout(() => element.classList.add('show'), 20);
+    
+    this.announce(notification);
+    this.startTimer(notification);
+  }
+  
+  announce(notification) {
+    const region = notification.type === 'error' ? this.assertiveRegion : this.politeRegion;
+    
+    // Clearing first makes a repeated message count as a change
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = notification.text;
+    }, 100);
+  }
+  
+  startTimer(notification) {
+    if (!notification.duration || notification.paused) return;
+    
+    notification.startedAt = Date.now();
+    notification.timer = setTimeout(() => this.dismiss(notification.id), notification.remaining);
+  }
+  
+  pause(notification) {
+    if (notification.paused) return;
+    
+    clearTimeout(notification.timer);
+    if (notification.startedAt) {
+      notification.remaining -= Date.now() - notification.startedAt;
+    }
+    notification.paused = true;
+  }
+  
+  resume(notification) {
+    if (!notification.paused) return;
+    
+    notification.paused = false;
+    this.startTimer(notification);
+  }
+  
+  restart(notification) {
+    notification.remaining = notification.duration;
+    if (!notification.element) return;
+    
+    clearTimeout(notification.timer);
+    this.startTimer(notification);
+    this.announce(notification);
+  }
+  
+  dismiss(id) {
+    const notification = this.visible.find(entry => entry.id === id);
+    if (!notification) {
+      this.queue = this.queue.filter(entry => entry.id !== id);
+      return;
+    }
+    
+    clearTimeout(notification.timer);
+    this.visible = this.visible.filter(entry => entry !== notification);
+    
+    const { element } = notification;
+    const hadFocus = element.contains(document.activeElement);
+    element.classList.remove('show');
+    setTimeout(() => element.remove(), 300);
+    
+    const next = this.queue.shift();
+    if (next) this.display(next);
+    
+    // Don't strand keyboard users on a toast that is going away
+    if (hadFocus) {
+      this.visible[this.visible.length - 1]?.element.querySelector('button')?.focus();
+    }
+  }
+  
+  dismissAll() {
+    this.queue = [];
+    [...this.visible].forEach(notification => this.dismiss(notification.id));
+  }
+}
+
+NotificationCenter.MAX_VISIBLE = 3;
+
+/**
+ * How long each type stays on screen by default (ms)
+ */
+NotificationCenter.DURATIONS = {
+  success: 5000,
+  info: 5000,
+  warning: 7000,
+  error: 8000
+};
+
+// ===================================
+// MOBILE NAVIGATION
+// ===================================
+
+class MobileNavigation {
+  constructor() {
+    this.hamburger = document.getElementById('mobileToggle');
+    this.navMenu = document.getElementById('navMenu');
+    this.navLinks = document.querySelectorAll('.nav-link');
+    this.isOpen = false;
+    
+    this.init();
+  }
+  
+  init() {
+    // Create mobile menu if it doesn't exist
+    this.createMobileMenu();
+    
+    // Bind events
+    if (this.hamburger) {
+      this.hamburger.addEventListener('click', () => this.toggleMenu());
+    }
+    
+    // Close menu when clicking nav links
+    this.navLinks.forEach(link => {
+      link.addEventListener('click', () => this.closeMenu());
+    });
+    
+    // Close menu when clicking outside
+    document.addEventListener('click', (e) => this.handleOutsideClick(e));
+    
+    // Handle window resize
+    window.addEventListener('resize', debounce(() => this.handleResize(), 250));
+  }
+  
+  createMobileMenu() {
+    // Add mobile menu classes for better styling
+    if (this.navMenu) {
+      this.navMenu.classList.add('mobile-nav-menu');
+    }
+  }
+  
+  toggleMenu() {
+    this.isOpen = !this.isOpen;
+    this.updateMenuState();
+  }
+  
+  openMenu() {
+    this.isOpen = true;
+    this.updateMenuState();
+  }
+  
+  closeMenu() {
+    this.isOpen = false;
+    this.updateMenuState();
+  }
+  
+  updateMenuState() {
+    if (this.hamburger) {
+      this.hamburger.classList.toggle('active', this.isOpen);
+    }
+    
+    if (this.navMenu) {
+      this.navMenu.classList.toggle('active', this.isOpen);
+      
+      // Animate menu items
+      if (this.isOpen) {
+        this.navMenu.style.display = 'flex';
+        setTimeout(() => {
+          this.navMenu.style.opacity = '1';
+          this.navMenu.style.transform = 'translateY(0)';
+        }, 10);
+      } else {
+        this.navMenu.style.opacity = '0';
+        this.navMenu.style.transform = 'translateY(-20px)';
+        setTimeout(() => {
+          this.navMenu.style.display = 'none';
+        }, 300);
+      }
+    }
+    
+    // Prevent body scroll when menu is open
+    if (this.isOpen) {
+      window.scrollLock?.lock(this);
+    } else {
+      window.scrollLock?.unlock(this);
+    }
+  }
+  
+  handleOutsideClick(e) {
+    if (this.isOpen && !e.target.closest('.nav-container')) {
+      this.closeMenu();
+    }
+  }
+  
+  handleResize() {
+    // Close mobile menu on desktop
+    if (window.innerWidth >= 1024) {
+      this.closeMenu();
+    }
+  }
+}
+
+// ===================================
+// HEADER SCROLL EFFECTS
+// ===================================
+
+class HeaderEffects {
+  constructor() {
+    this.header = document.querySelector('.header');
+    this.lastScrollY = window.scrollY;
+    this.scrollThreshold = 100;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.header) return;
+    
+    window.addEventListener('scroll', throttle(() => this.handleScroll(), 16));
+    this.handleScroll(); // Initial call
+  }
+  
+  handleScroll() {
+    const currentScrollY = window.scrollY;
+    
+    // Add/remove scrolled class
+    if (currentScrollY > this.scrollThreshold) {
+      this.header.classList.add('scrolled');
+    } else {
+      this.header.classList.remove('scrolled');
+    }
+    
+    // Hide/show header on scroll
+    if (currentScrollY > this.lastScrollY && currentScrollY > this.scrollThreshold) {
+      this.header.style.transform = 'translateY(-100%)';
+    } else {
+      this.header.style.transform = 'translateY(0)';
+    }
+    
+    this.lastScrollY = currentScrollY;
+  }
+}
+
+// ===================================
+// FAQ ACCORDION
+// ===================================
+
+/**
+ * Frequently asked questions. Every item can be linked to by its id
+ * (/#faq-legal opens and scrolls to that answer), and opening one puts its
+ * id in the address bar so it can be copied and shared. The search box
+ * filters questions and answers as you type and marks what matched.
+ * data-faq-mode on the list picks "single" (opening one closes the rest)
+ * or "multiple".
+ */
+class FAQAccordion {
+  constructor() {
+    this.container = document.querySelector('.faq-container');
+    this.faqItems = document.querySelectorAll('.faq-item');
+    this.searchInput = document.querySelector('.faq-search input');
+    this.expandButton = document.querySelector('.faq-expand-all');
+    this.status = document.querySelector('.faq-status');
+    this.mode = FAQAccordion.MODES.includes(this.container?.dataset.faqMode)
+      ? this.container.dataset.faqMode
+      : FAQAccordion.DEFAULT_MODE;
+    this.query = '';
+    this.openBeforeSearch = null;
+    this.lastEmptyQuery = '';
+    this.reportEmptySearch = debounce(query => this.trackEmptySearch(query), FAQAccordion.SEARCH_REPORT_DELAY);
+    
+    this.init();
+  }
+  
+  init() {
+    this.faqItems.forEach((item, index) => {
+      this.setup(item, index);
+      
+      const question = item.querySelector('.faq-question');
+      if (question) {
+        question.addEventListener('click', () => this.toggleItem(item));
+        question.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.toggleItem(item);
+          }
+        });
+      }
+    });
+    
+    this.searchInput?.addEventListener('input', () => this.search(this.searchInput.value));
+    this.searchInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.searchInput.value) {
+        e.preventDefault();
+        this.clearSearch();
+      }
+    });
+    this.expandButton?.addEventListener('click', () => this.toggleAll());
+    
+    window.addEventListener('hashchange', () => this.openFromHash());
+    document.addEventListener('locale:changed', () => this.handleLocaleChange());
+    
+    this.updateExpandButton();
+    this.openFromHash();
+  }
+  
+  /**
+   * Button semantics for the question, and ids to link to
+   */
+  setup(item, index) {
+    item.id = item.id || `faq-${index + 1}`;
+    
+    const question = item.querySelector('.faq-question');
+    const answer = item.querySelector('.faq-answer');
+    if (!question || !answer) return;
+    
+    question.id = `${item.id}-question`;
+    answer.id = `${item.id}-answer`;
+    question.tabIndex = 0;
+    question.setAttribute('role', 'button');
+    question.setAttribute('aria-controls', answer.id);
+    question.setAttribute('aria-expanded', String(item.classList.contains('active')));
+    answer.setAttribute('role', 'region');
+    answer.setAttribute('aria-labelledby', question.id);
+  }
+  
+  isOpen(item) {
+    return item.classList.contains('active');
+  }
+  
+  getVisibleItems() {
+    return Array.from(this.faqItems).filter(item => !item.hidden);
+  }
+  
+  toggleItem(item) {
+    if (this.isOpen(item)) {
+      this.setExpanded(item, false);
+      if (window.location.hash === `#${item.id}`) this.updateHash('');
+      return;
+    }
+    
+    this.openItem(item, 'click');
+    this.updateHash(item.id);
+    
+    // Smooth scroll to item once it has opened
+    setTimeout(() => {
+      item.scrollIntoView({
+        behavior: 'smooth',
+        block: 'nearest'
+      });
+    }, 100);
+  }
+  
+  /**
+   * Open an item the visitor asked for, respecting the mode
+   */
+  openItem(item, source) {
+    if (this.mode === 'single') {
+      this.faqItems.forEach(otherItem => {
+        if (otherItem !== item) this.setExpanded(otherItem, false);
+      });
+    }
+    
+    this.setExpanded(item, true);
+    
+    window.analytics?.track('faq_opened', {
+      question: item.querySelector('.faq-question')?.textContent.trim(),
+      faq_id: item.id,
+      position: Array.from(this.faqItems).indexOf(item) + 1,
+      source
+    });
+  }
+  
+  setExpanded(item, expanded) {
+    item.classList.toggle('active', expanded);
+    item.querySelector('.faq-question')?.setAttribute('aria-expanded', String(expanded));
+    this.updateExpandButton();
+  }
+  
+  /**
+   * Expand every visible item, or collapse them if all are open already
+   */
+  toggleAll() {
+    const visible = this.getVisibleItems();
+    const expand = !visible.every(item => this.isOpen(item));
+    
+    visible.forEach(item => this.setExpanded(item, expand));
+  }
+  
+  updateExpandButton() {
+    if (!this.expandButton) return;
+    
+    const visible = this.getVisibleItems();
+    const allOpen = visible.length > 0 && visible.every(item => this.isOpen(item));
+    
+    window.i18n.localize(this.expandButton, allOpen ? 'faq.collapseAll' : 'faq.expandAll');
+    this.expandButton.setAttribute('aria-expanded', String(allOpen));
+    this.expandButton.disabled = visible.length === 0;
+  }
+  
+  /**
+   * Open and scroll to the item named in the URL hash, if any
+   */
+  openFromHash() {
+    const item = Array.from(this.faqItems).find(faqItem => window.location.hash === `#${faqItem.id}`);
+    if (!item) return;
+    
+    // A search could be hiding it
+    if (this.query) this.clearSearch();
+    if (!this.isOpen(item)) this.openItem(item, 'link');
+    
+    item.querySelector('.faq-question')?.focus({ preventScroll: true });
+    
+    // Wait for images and fonts so the item is where it will stay
+    const scroll = () => this.scrollToItem(item);
+    if (document.readyState === 'complete') {
+      scroll();
+    } else {
+      window.addEventListener('load', scroll, { once: true });
+    }
+  }
+  
+  scrollToItem(item) {
+    const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+    
+    window.scrollTo({
+      top: item.getBoundingClientRect().top + window.scrollY - headerHeight - 20,
+      behavior: 'smooth'
+    });
+  }
+  
+  /**
+   * Point the address bar at an item without adding history entries
+   */
+  updateHash(id) {
+    const { pathname, search } = window.location;
+    history.replaceState(history.state, '', `${pathname}${search}${id ? `#${id}` : ''}`);
+  }
+  
+  /**
+   * Show only the items whose question or answer contains the query.
+   * Items matching in the answer open so the match can be seen; clearing
+   * the search restores what was open before.
+   */
+  search(value) {
+    const query = value.trim();
+    
+    if (query && !this.query) {
+      this.openBeforeSearch = new Set(Array.from(this.faqItems).filter(item => this.isOpen(item)));
+    }
+    
+    this.query = query;
+    this.clearHighlights();
+    
+    if (!query) {
+      this.faqItems.forEach(item => {
+        item.hidden = false;
+        if (this.openBeforeSearch) this.setExpanded(item, this.openBeforeSearch.has(item));
+      });
+      this.openBeforeSearch = null;
+      this.updateExpandButton();
+      this.renderStatus(0);
+      return;
+    }
+    
+    const needle = FAQAccordion.fold(query);
+    let matches = 0;
+    
+    this.faqItems.forEach(item => {
+      const inQuestion = this.highlight(item.querySelector('.faq-question h3'), needle);
+      const inAnswer = this.highlight(item.querySelector('.faq-answer'), needle);
+      
+      item.hidden = !inQuestion && !inAnswer;
+      if (item.hidden) return;
+      
+      matches++;
+      if (inAnswer) this.setExpanded(item, true);
+    });
+    
+    this.updateExpandButton();
+    this.renderStatus(matches);
+    
+    if (!matches) this.reportEmptySearch(query);
+  }
+  
+  clearSearch() {
+    if (this.searchInput) this.searchInput.value = '';
+    this.search('');
+  }
+  
+  renderStatus(matches) {
+    if (!this.status) return;
+    
+    if (!this.query) {
+      this.status.textContent = '';
+    } else if (matches) {
+      this.status.textContent = t('faq.results', { count: matches });
+    } else {
+      this.status.textContent = t('faq.noResults', { query: this.query });
+    }
+  }
+  
+  /**
+   * Wrap each occurrence of needle in the element's text in a <mark>.
+   * Works on text nodes only, so the query is never parsed as markup.
+   */
+  highlight(root, needle) {
+    if (!root) return false;
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    
+    let found = false;
+    
+    nodes.forEach(node => {
+      const text = node.data;
+      const folded = FAQAccordion.fold(text);
+      let index = folded.indexOf(needle);
+      if (index === -1) return;
+      
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      
+      while (index !== -1) {
+        const mark = document.createElement('mark');
+        mark.className = 'faq-highlight';
+        mark.textContent = text.slice(index, index + needle.length);
+        fragment.append(text.slice(last, index), mark);
+        last = index + needle.length;
+        index = folded.indexOf(needle, last);
+      }
+      
+      fragment.append(text.slice(last));
+      node.replaceWith(fragment);
+      found = true;
+    });
+    
+    return found;
+  }
+  
+  clearHighlights() {
+    this.container?.querySelectorAll('mark.faq-highlight').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
+    });
+  }
+  
+  /**
+   * Record a search that found nothing once the visitor stops typing
+   */
+  trackEmptySearch(query) {
+    if (query !== this.query || query === this.lastEmptyQuery) return;
+    
+    this.lastEmptyQuery = query;
+    window.analytics?.track('faq_search_no_results', {
+      query: (window.errorHandler?.scrub(query) ?? query).slice(0, FAQAccordion.MAX_QUERY_LENGTH)
+    });
+  }
+  
+  /**
+   * The page copy was just re-rendered, which drops the highlights
+   */
+  handleLocaleChange() {
+    if (this.query) this.search(this.query);
+  }
+  
+  /**
+   * Lower-case and strip accents one character at a time, so positions in
+   * the folded text are positions in the original ("credito" finds "crédito")
+   */
+  static fold(text) {
+    return text.split('').map(char => {
+      const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      return folded.length === 1 ? folded : char;
+    }).join('');
+  }
+}
+
+FAQAccordion.MODES = ['single', 'multiple'];
+FAQAccordion.DEFAULT_MODE = 'single';
+FAQAccordion.SEARCH_REPORT_DELAY = 1500;
+FAQAccordion.MAX_QUERY_LENGTH = 100;
+
+// ===================================
+// FLOATING ACTION BUTTON
+// ===================================
+
+class FloatingActionButton {
+  constructor() {
+    this.fab = document.getElementById('floatingBtn');
+    this.fabMain = this.fab?.querySelector('.fab-main');
+    this.fabMenu = this.fab?.querySelector('.fab-menu');
+    this.isOpen = false;
+    this.scrollThreshold = 300;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.fab) return;
+    
+    // Toggle menu on click
+    if (this.fabMain) {
+      this.fabMain.addEventListener('click', () => this.toggleMenu());
+    }
+    
+    // Close menu when clicking outside
+    document.addEventListener('click', (e) => this.handleOutsideClick(e));
+    
+    // Show/hide FAB based on scroll position
+    window.addEventListener('scroll', throttle(() => this.handleScroll(), 100));
+    
+    this.handleScroll(); // Initial call
+  }
+  
+  toggleMenu() {
+    this.isOpen = !this.isOpen;
+    this.fab.classList.toggle('active', this.isOpen);
+    
+    // Rotate main button
+    if (this.fabMain) {
+      this.fabMain.style.transform = this.isOpen ? 'rotate(45deg)' : 'rotate(0deg)';
+    }
+  }
+  
+  closeMenu() {
+    this.isOpen = false;
+    this.fab.classList.remove('active');
+    if (this.fabMain) {
+      this.fabMain.style.transform = 'rotate(0deg)';
+    }
+  }
+  
+  handleOutsideClick(e) {
+    if (this.isOpen && !e.target.closest('.floating-action-btn')) {
+      this.closeMenu();
+    }
+  }
+  
+  handleScroll() {
+    const currentScrollY = window.scrollY;
+    
+    if (currentScrollY > this.scrollThreshold) {
+      this.fab.style.opacity = '1';
+      this.fab.style.visibility = 'visible';
+      this.fab.style.transform = 'scale(1)';
+    } else {
+      this.fab.style.opacity = '0';
+      this.fab.style.visibility = 'hidden';
+      this.fab.style.transform = 'scale(0.8)';
+      this.closeMenu();
+    }
+  }
+}
+
+// ===================================
+// FORM HANDLING
+// ===================================
+
+/**
+ * Rules for the credit analysis form that can't be expressed as data
+ * attributes. Simple rules live in the markup:
+ *   required, type="email"             built-in checks
+ *   data-min-length / data-max-length  length limits
+ *   data-pattern                       regular expression (full match)
+ *   data-validate="phone"              named rules from FormValidator.ruleTypes
+ *   data-message-<rule>                custom message, e.g. data-message-required
+ */
+const CREDIT_ANALYSIS_VALIDATION = {
+  email: [
+    { type: 'notDisposable' }
+  ],
+  creditIssues: [
+    {
+      type: 'custom',
+      dependsOn: ['creditScore'],
+      message: () => t('validation.creditIssues'),
+      validate: (issues, values) => issues.length > 0 || ['740-799', '800+'].includes(values.creditScore)
+    }
+  ]
+};
+
+/**
+ * Email domains known to hand out throwaway inboxes
+ */
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  'dispostable.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'mailinator.com',
+  'maildrop.cc',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+];
+
+/**
+ * Declarative validation engine. Rules come from data attributes on the
+ * controls merged with a schema object keyed by field name. Validators may
+ * be async; each resolves to true when the value passes.
+ */
+class FormValidator {
+  constructor(form, schema = {}) {
+    this.form = form;
+    this.schema = schema;
+    this.rulesCache = new Map();
+  }
+  
+  /**
+   * First control for every field name that has at least one rule
+   */
+  getFields(container = this.form) {
+    const fields = new Map();
+    
+    container.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+      if (!fields.has(field.name) && this.getRules(field.name).length) {
+        fields.set(field.name, field);
+      }
+    });
+    
+    return Array.from(fields.values());
+  }
+  
+  getRules(name) {
+    if (!this.rulesCache.has(name)) {
+      this.rulesCache.set(name, [...this.getAttributeRules(name), ...(this.schema[name] || [])]);
+    }
+    return this.rulesCache.get(name);
+  }
+  
+  getAttributeRules(name) {
+    const field = this.form.querySelector(`[name="${name}"]`);
+    if (!field) return [];
+    
+    const { dataset } = field;
+    const rules = [];
+    
+    if (field.hasAttribute('required')) {
+      rules.push({ type: 'required' });
+    }
+    if (dataset.minLength) {
+      rules.push({ type: 'minLength', value: Number(dataset.minLength) });
+    }
+    if (dataset.maxLength) {
+      rules.push({ type: 'maxLength', value: Number(dataset.maxLength) });
+    }
+    if (dataset.pattern) {
+      rules.push({ type: 'pattern', value: dataset.pattern });
+    }
+    if (field.type === 'email') {
+      rules.push({ type: 'email' });
+    }
+    (dataset.validate || '').split(/\s+/).filter(Boolean).forEach(type => {
+      rules.push({ type });
+    });
+    
+    // data-message-min-length="..." overrides the minLength message; it is
+    // read when shown, as translation may have changed it since
+    return rules.map(rule => {
+      const key = `message${rule.type.charAt(0).toUpperCase()}${rule.type.slice(1)}`;
+      return dataset[key] ? { ...rule, message: () => dataset[key] } : rule;
+    });
+  }
+  
+  /**
+   * Names of fields whose rules depend on the given field
+   */
+  getDependents(name) {
+    return Object.keys(this.schema).filter(fieldName =>
+      this.schema[fieldName].some(rule => (rule.dependsOn || []).includes(name))
+    );
+  }
+  
+  getValue(name) {
+    const controls = Array.from(this.form.querySelectorAll(`[name="${name}"]`));
+    
+    if (controls[0]?.type === 'checkbox') {
+      return controls.filter(control => control.checked).map(control => control.value);
+    }
+    
+    return (controls[0]?.value || '').trim();
+  }
+  
+  getValues() {
+    const values = {};
+    this.form.querySelectorAll('[name]').forEach(field => {
+      if (!(field.name in values)) {
+        values[field.name] = this.getValue(field.name);
+      }
+    });
+    return values;
+  }
+  
+  /**
+   * Runs the rules in order and stops at the first failure.
+   * Resolves to { valid, message, rule }.
+   */
+  async validate(name) {
+    const value = this.getValue(name);
+    const values = this.getValues();
+    const isEmpty = Array.isArray(value) ? value.length === 0 : value === '';
+    
+    for (const rule of this.getRules(name)) {
+      const ruleType = FormValidator.ruleTypes[rule.type];
+      if (!ruleType) {
+        console.warn(`Unknown validation rule "${rule.type}" on field "${name}"`);
+        continue;
+      }
+      
+      // Only required and custom rules have an opinion about empty fields
+      if (isEmpty && !['required', 'custom'].includes(rule.type)) continue;
+      
+      let valid;
+      try {
+        valid = await ruleType.validate(value, rule, values);
+      } catch (error) {
+        // A failing validator should never block a lead
+        console.warn(`Validation rule "${rule.type}" failed to run:`, error);
+        valid = true;
+      }
+      
+      if (!valid) {
+        const message = rule.message || ruleType.message;
+        return { valid: false, message: typeof message === 'function' ? message(rule, values) : message, rule };
+      }
+    }
+    
+    return { valid: true, message: '', rule: null };
+  }
+}
+
+FormValidator.ruleTypes = {
+  required: {
+    validate: value => (Array.isArray(value) ? value.length > 0 : value !== ''),
+    message: () => t('validation.required')
+  },
+  minLength: {
+    validate: (value, rule) => value.length >= rule.value,
+    message: rule => t('validation.minLength', { count: rule.value })
+  },
+  maxLength: {
+    validate: (value, rule) => value.length <= rule.value,
+    message: rule => t('validation.maxLength', { count: rule.value })
+  },
+  pattern: {
+    validate: (value, rule) => new RegExp(`^(?:${rule.value})$`).test(value),
+    message: () => t('validation.pattern')
+  },
+  email: {
+    validate: value => isValidEmail(value),
+    message: () => t('validation.email')
+  },
+  phone: {
+    validate: (value, rule, values) => isValidPhoneNumber(value, values.phoneCountry),
+    message: (rule, values) => {
+      const code = PHONE_COUNTRIES[values.phoneCountry] ? values.phoneCountry : DEFAULT_PHONE_COUNTRY;
+      return t('validation.phone', { country: window.i18n.getRegionName(code) || getPhoneCountry(code).name });
+    }
+  },
+  notDisposable: {
+    // The lookup service, if there is one, is siteConfig.validation.disposableEmailEndpoint
+    validate: async (value, rule) => !(await isDisposableEmail(
+      value,
+      rule.endpoint ?? window.siteConfig?.get('validation.disposableEmailEndpoint')
+    )),
+    message: () => t('validation.notDisposable')
+  },
+  custom: {
+    validate: (value, rule, values) => rule.validate(value, values),
+    message: () => t('validation.invalid')
+  }
+};
+
+const disposableDomainCache = new Map();
+
+/**
+ * Check an email's domain against the local blocklist, then the optional
+ * lookup endpoint. Lookups fail open so an outage never blocks a lead.
+ */
+async function isDisposableEmail(email, endpoint) {
+  const domain = email.split('@').pop().toLowerCase();
+  
+  if (DISPOSABLE_EMAIL_DOMAINS.includes(domain)) return true;
+  if (!endpoint) return false;
+  if (disposableDomainCache.has(domain)) return disposableDomainCache.get(domain);
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 3000);
+  
+  try {
+    const response = await fetch(`${endpoint}?domain=${encodeURIComponent(domain)}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) return false;
+    
+    const { disposable = false } = await response.json();
+    disposableDomainCache.set(domain, Boolean(disposable));
+    return Boolean(disposable);
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Error raised when a lead submission fails
+ */
+class SubmissionError extends Error {
+  constructor(message, { status = 0, fieldErrors = {}, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class FormHandler {
+  constructor() {
+    this.form = document.getElementById('creditAnalysisForm');
+    this.submitButton = this.form?.querySelector('.form-submit-btn');
+    this.originalButtonText = this.submitButton?.innerHTML;
+    this.isSubmitting = false;
+    this.validator = this.form ? new FormValidator(this.form, CREDIT_ANALYSIS_VALIDATION) : null;
+    this.validationRuns = new Map();
+    this.touchedFields = new Set();
+    
+    // Endpoint comes from the form markup so each deployment can point elsewhere
+    this.endpoint = this.form?.dataset.endpoint || this.form?.getAttribute('action') || '/api/leads';
+    this.requestTimeout = 15000;
+    this.retryOptions = {
+      maxAttempts: 3,
+      baseDelay: 1000,
+      maxDelay: 8000,
+      retryableStatuses: [408, 425, 429, 500, 502, 503, 504]
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.form) return;
+    
+    // Form submission
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    
+    // Real-time validation
+    this.setupValidation();
+    
+    // Phone number formatting
+    this.setupPhoneFormatting();
+    
+    // Optional step-by-step mode
+    this.wizard = FormWizard.isEnabledFor(this.form) ? new FormWizard(this) : null;
+    
+    // Draft autosave and resume
+    this.draft = new FormDraft(this);
+    
+    // Pre-fill from an uploaded credit report
+    this.reportImport = new CreditReportImport(this);
+    
+    // Ready-to-mail dispute letters offered after submission
+    this.disputeLetters = new DisputeLetterPanel();
+    
+    // Proof of the consents given with each submission
+    this.consentAudit = new ConsentAudit(this.form);
+    
+    // Priority, complexity and routing for the sales team
+    this.leadScorer = new LeadScorer();
+    
+    // Consultation slot picker offered after submission
+    this.consultationBooking = new ConsultationBooking();
+    
+    // Where visitors slow down or give up, without their values
+    this.funnel = new FormFunnel(this);
+    
+    document.addEventListener('locale:changed', () => this.handleLocaleChange());
+  }
+  
+  /**
+   * Re-word the country list and any errors on show
+   */
+  handleLocaleChange() {
+    if (this.phoneCountrySelect) {
+      this.populatePhoneCountries(this.phoneCountrySelect);
+    }
+    
+    this.getValidatableFields().forEach(async field => {
+      const errorElement = document.getElementById(`${field.id || field.name}-error`);
+      if (!errorElement) return;
+      
+      const { valid, message } = await this.validator.validate(field.name);
+      if (!valid) errorElement.textContent = message;
+    });
+  }
+  
+  /**
+   * Fields that take part in validation, optionally limited to a container.
+   * Checkbox groups are represented by their first box.
+   */
+  getValidatableFields(container = this.form) {
+    return this.validator.getFields(container);
+  }
+  
+  setupValidation() {
+    this.getValidatableFields().forEach(field => {
+      const controls = this.form.querySelectorAll(`[name="${field.name}"]`);
+      
+      if (field.type === 'checkbox') {
+        controls.forEach(control => {
+          control.addEventListener('change', () => this.handleFieldChange(field));
+        });
+        return;
+      }
+      
+      field.addEventListener('blur', () => this.handleFieldChange(field));
+      field.addEventListener('input', () => this.clearFieldError(field));
+      if (field.tagName === 'SELECT') {
+        field.addEventListener('change', () => this.handleFieldChange(field));
+      }
+    });
+  }
+  
+  async handleFieldChange(field) {
+    this.touchedFields.add(field.name);
+    await this.validateField(field);
+    
+    // Re-check cross-field rules that depend on this value
+    this.validator.getDependents(field.name)
+      .filter(name => this.touchedFields.has(name))
+      .forEach(name => this.validateField(this.form.querySelector(`[name="${name}"]`)));
+  }
+  
+  setupPhoneFormatting() {
+    const phoneInput = this.form.querySelector('input[name="phone"]');
+    this.phoneCountrySelect = this.form.querySelector('select[name="phoneCountry"]');
+    
+    if (this.phoneCountrySelect) {
+      this.populatePhoneCountries(this.phoneCountrySelect);
+      this.phoneCountrySelect.addEventListener('change', () => this.handlePhoneCountryChange(phoneInput));
+    }
+    
+    if (phoneInput) {
+      phoneInput.addEventListener('input', (e) => {
+        const inferred = inferPhoneCountry(e.target.value, this.getPhoneCountryCode());
+        if (inferred && this.phoneCountrySelect && inferred !== this.getPhoneCountryCode()) {
+          this.phoneCountrySelect.value = inferred;
+          this.phoneCountrySelect.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        
+        e.target.value = formatPhoneInput(e.target.value, this.getPhoneCountryCode());
+      });
+      this.updatePhonePlaceholder(phoneInput);
+    }
+  }
+  
+  populatePhoneCountries(select) {
+    const selected = select.value || DEFAULT_PHONE_COUNTRY;
+    select.innerHTML = '';
+    
+    Object.entries(PHONE_COUNTRIES).forEach(([code, country]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${country.flag} ${window.i18n.getRegionName(code) || country.name} (+${country.dialCode})`;
+      select.appendChild(option);
+    });
+    
+    select.value = PHONE_COUNTRIES[selected] ? selected : DEFAULT_PHONE_COUNTRY;
+  }
+  
+  getPhoneCountryCode() {
+    return this.phoneCountrySelect?.value || DEFAULT_PHONE_COUNTRY;
+  }
+  
+  handlePhoneCountryChange(phoneInput) {
+    if (!phoneInput) return;
+    
+    // A country picked by hand replaces the code typed in front of the number
+    const code = this.getPhoneCountryCode();
+    const typed = inferPhoneCountry(phoneInput.value, code);
+    phoneInput.value = typed && typed !== code
+      ? formatPhoneNumber(getNationalDigits(phoneInput.value, typed), code)
+      : formatPhoneInput(phoneInput.value, code);
+    this.updatePhonePlaceholder(phoneInput);
+    
+    if (this.touchedFields.has(phoneInput.name)) {
+      this.validateField(phoneInput);
+    } else {
+      this.clearFieldError(phoneInput);
+    }
+  }
+  
+  updatePhonePlaceholder(phoneInput) {
+    const country = getPhoneCountry(this.getPhoneCountryCode());
+    const sample = '5551234567890'.slice(0, Math.max(...country.lengths));
+    phoneInput.placeholder = formatPhoneNumber(sample, this.getPhoneCountryCode());
+  }
+  
+  async validateField(field) {
+    // Only the latest run for a field may touch the DOM
+    const run = (this.validationRuns.get(field.name) || 0) + 1;
+    this.validationRuns.set(field.name, run);
+    
+    const { valid, message, rule } = await this.validator.validate(field.name);
+    
+    if (this.validationRuns.get(field.name) === run) {
+      this.clearFieldError(field);
+      if (!valid) {
+        this.showFieldError(field, message);
+        this.funnel?.recordError(field.name, rule);
+      }
+    }
+    
+    return valid;
+  }
+  
+  /**
+   * Errors go below the whole form group, so checkbox groups and
+   * composite inputs (phone + country) report once
+   */
+  getErrorContainer(field) {
+    return field.closest('.form-group') || field.parentNode;
+  }
+  
+  getFieldControls(field) {
+    return field.type === 'checkbox'
+      ? Array.from(this.form.querySelectorAll(`[name="${field.name}"]`))
+      : [field];
+  }
+  
+  showFieldError(field, message) {
+    const errorId = `${field.id || field.name}-error`;
+    
+    this.getFieldControls(field).forEach(control => {
+      control.classList.add('error');
+      control.setAttribute('aria-invalid', 'true');
+      
+      const describedBy = (control.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+      if (!describedBy.includes(errorId)) {
+        control.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+      }
+    });
+    
+    // Create error message element
+    const errorElement = document.createElement('div');
+    errorElement.className = 'field-error';
+    errorElement.id = errorId;
+    errorElement.setAttribute('role', 'alert');
+    errorElement.textContent = message;
+    
+    // Insert error message
+    this.getErrorContainer(field).appendChild(errorElement);
+  }
+  
+  clearFieldError(field) {
+    const errorId = `${field.id || field.name}-error`;
+    
+    this.getFieldControls(field).forEach(control => {
+      control.classList.remove('error');
+      control.removeAttribute('aria-invalid');
+      
+      const describedBy = (control.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+      if (describedBy.length) {
+        control.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        control.removeAttribute('aria-describedby');
+      }
+    });
+    
+    const errorElement = this.getErrorContainer(field).querySelector('.field-error');
+    if (errorElement) {
+      errorElement.remove();
+    }
+  }
+  
+  validateForm() {
+    return this.validateFields(this.getValidatableFields());
+  }
+  
+  async validateFields(fields) {
+    const results = await Promise.all(Array.from(fields).map(field => this.validateField(field)));
+    return results.every(Boolean);
+  }
+  
+  async handleSubmit(e) {
+    e.preventDefault();
+    
+    // Guard against double clicks and repeated Enter presses
+    if (this.isSubmitting) return;
+    
+    // In wizard mode, Enter on an earlier step advances instead of submitting
+    if (this.wizard && !this.wizard.isOnReview()) {
+      this.wizard.next();
+      return;
+    }
+    
+    this.isSubmitting = true;
+    
+    try {
+      // Validate form (some rules are async)
+      if (!(await this.validateForm())) {
+        const firstInvalid = this.form.querySelector('.error');
+        this.wizard?.goToStepContaining(firstInvalid);
+        firstInvalid?.focus();
+        window.notifications.error(t('form.fixErrors'));
+        return;
+      }
+      
+      // Show loading state
+      this.setLoadingState(true);
+      
+      const data = this.collectFormData();
+      data.consent = await this.consentAudit.createRecord();
+      data.leadScore = this.leadScorer.score(data);
+      data.attribution = window.attribution?.getPayload() || null;
+      
+      const result = await this.submitToAPI(data);
+      this.consentAudit.save(data.consent, result?.id);
+      document.dispatchEvent(new CustomEvent('lead:submitted', { detail: { leadId: result?.id } }));
+      window.analytics?.track('lead_submitted', {
+        form_type: 'credit_analysis',
+        priority: data.leadScore.priority.id,
+        queue: data.leadScore.queue.id,
+        seconds_to_submit: this.funnel.complete()
+      });
+      
+      // Show success
+      this.consultationBooking.prepare({ leadId: result?.id });
+      this.disputeLetters.prepare(data, this.reportImport.lastResult);
+      this.showSuccessModal();
+      this.draft.clear();
+      this.form.reset();
+      this.touchedFields.clear();
+      this.wizard?.reset();
+      
+    } catch (error) {
+      console.error('Form submission error:', error);
+      this.handleSubmissionError(error);
+    } finally {
+      this.isSubmitting = false;
+      this.setLoadingState(false);
+    }
+  }
+  
+  collectFormData() {
+    const formData = new FormData(this.form);
+    const data = Object.fromEntries(formData.entries());
+    
+    // Collect checkbox values
+    const checkboxes = this.form.querySelectorAll('input[name="creditIssues"]:checked');
+    data.creditIssues = Array.from(checkboxes).map(cb => cb.value);
+    
+    // Consents travel in the audit record instead
+    this.form.querySelectorAll('input[data-consent]').forEach(checkbox => {
+      delete data[checkbox.name];
+    });
+    
+    // Send phone numbers in E.164 so every country arrives in one format
+    if (data.phone) {
+      data.phoneCountry = this.getPhoneCountryCode();
+      data.phone = toE164(data.phone, data.phoneCountry);
+    }
+    
+    return data;
+  }
+  
+  /**
+   * POST the lead, retrying transient failures with exponential backoff.
+   * Every attempt shares one idempotency key so the backend can drop duplicates.
+   */
+  async submitToAPI(data) {
+    const { maxAttempts, baseDelay, maxDelay } = this.retryOptions;
+    const idempotencyKey = generateId();
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.sendLead(data, idempotencyKey);
+      } catch (error) {
+        // A server asking for a longer wait than we'd back off gets the error
+        // shown instead of a form that sits "retrying" for minutes
+        if (!error.retryable || attempt >= maxAttempts || error.retryAfter > maxDelay) {
+          throw error;
+        }
+        
+        const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+        const jitter = Math.random() * baseDelay * 0.5;
+        const delay = error.retryAfter ?? backoff + jitter;
+        
+        if (attempt === 1) {
+          window.notifications.info(t('form.retrying'));
+        }
+        
+        await wait(delay);
+      }
+    }
+  }
+  
+  async sendLead(data, idempotencyKey) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    let response;
+    
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'Idempotency-Key': idempotencyKey
+        },
+        body: JSON.stringify(data),
+        signal: controller.signal
+      });
+    } catch (error) {
+      // Network failures and timeouts never reached the server, so retry them
+      const message = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+      throw new SubmissionError(message, { retryable: true });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    
+    const payload = await this.parseResponseBody(response);
+    
+    if (response.ok) {
+      return payload;
+    }
+    
+    throw new SubmissionError(payload?.message || `Request failed with status ${response.status}`, {
+      status: response.status,
+      fieldErrors: this.normalizeFieldErrors(payload?.errors),
+      retryable: this.retryOptions.retryableStatuses.includes(response.status),
+      retryAfter: this.parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+  
+  async parseResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('application/json')) return null;
+    
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Accepts either { field: message } or [{ field, message }]
+   */
+  normalizeFieldErrors(errors) {
+    if (!errors) return {};
+    
+    if (Array.isArray(errors)) {
+      return errors.reduce((map, error) => {
+        if (error && error.field) {
+          map[error.field] = error.message || t('validation.invalid');
+        }
+        return map;
+      }, {});
+    }
+    
+    return typeof errors === 'object' ? { ...errors } : {};
+  }
+  
+  parseRetryAfter(header) {
+    if (!header) return null;
+    
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  
+  handleSubmissionError(error) {
+    const fieldErrors = error instanceof SubmissionError ? error.fieldErrors : {};
+    
+    if (Object.keys(fieldErrors).length) {
+      const unmatched = this.applyFieldErrors(fieldErrors);
+      const message = unmatched.length ? unmatched.join(' ') : t('form.fixErrors');
+      window.notifications.error(message);
+      return;
+    }
+    
+    if (error instanceof SubmissionError && error.status >= 400 && error.status < 500 && !error.retryable) {
+      window.notifications.error(error.message);
+      return;
+    }
+    
+    window.notifications.error(t('form.failed'));
+  }
+  
+  /**
+   * Map server-side field errors back onto the inputs.
+   * Returns the messages that don't belong to any field in the form.
+   */
+  applyFieldErrors(fieldErrors) {
+    const unmatched = [];
+    let firstInvalid = null;
+    
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const control = this.form.elements[name];
+      // Checkbox groups come back as a RadioNodeList
+      const field = control instanceof RadioNodeList ? control[0] : control;
+      
+      if (!field) {
+        unmatched.push(message);
+        return;
+      }
+      
+      this.clearFieldError(field);
+      this.showFieldError(field, message);
+      firstInvalid = firstInvalid || field;
+    });
+    
+    if (firstInvalid) {
+      this.wizard?.goToStepContaining(firstInvalid);
+      firstInvalid.focus();
+    }
+    
+    return unmatched;
+  }
+  
+  setLoadingState(isLoading) {
+    if (!this.submitButton) return;
+    
+    if (isLoading) {
+      this.submitButton.disabled = true;
+      this.submitButton.innerHTML = `
+        <svg class="animate-spin" width="20" height="20" viewBox="0 0 24 24" fill="none">
+          <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4" stroke-opacity="0.3"/>
+          <path fill="currentColor" d="M12 2v4a8 8 0 0 1 0 16v4c6.627 0 12-5.373 12-12S18.627 2 12 2z"/>
+        </svg>
+        <span>${escapeHTML(t('form.processing'))}</span>
+      `;
+    } else {
+      this.submitButton.disabled = false;
+      this.submitButton.innerHTML = this.originalButtonText;
+      window.i18n.translate(this.submitButton);
+    }
+  }
+  
+  showSuccessModal() {
+    window.modalManager?.open('successModal');
+  }
+}
+
+/**
+ * Step-by-step mode for the credit analysis form.
+ * Each <fieldset class="form-step"> becomes a step, followed by a review screen.
+ * Enabled with data-wizard="on", or data-wizard="auto" for small screens.
+ */
+class FormWizard {
+  static isEnabledFor(form) {
+    const mode = form.dataset.wizard;
+    if (mode === 'on') return true;
+    if (mode === 'auto') return window.matchMedia('(max-width: 767px)').matches;
+    return false;
+  }
+  
+  constructor(formHandler) {
+    this.formHandler = formHandler;
+    this.form = formHandler.form;
+    this.steps = Array.from(this.form.querySelectorAll('.form-step'));
+    this.submitButton = formHandler.submitButton;
+    this.consents = this.form.querySelector('.form-consents');
+    this.currentIndex = 0;
+    this.isAdvancing = false;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.steps.length) return;
+    
+    this.form.classList.add('wizard-mode');
+    
+    this.progress = this.createProgress();
+    this.review = this.createReview();
+    this.nav = this.createNavigation();
+    this.announcer = this.createAnnouncer();
+    
+    this.showStep(0, { focus: false });
+    
+    document.addEventListener('locale:changed', () => this.handleLocaleChange());
+  }
+  
+  /**
+   * Step titles come from the translated legends, so re-read them
+   */
+  handleLocaleChange() {
+    const titles = this.getTitles();
+    this.progress.items.forEach((item, index) => {
+      item.querySelector('.wizard-progress-label').textContent = titles[index];
+    });
+    
+    this.updateProgress();
+    if (this.isOnReview()) {
+      this.renderReview();
+    }
+  }
+  
+  get reviewIndex() {
+    return this.steps.length;
+  }
+  
+  createProgress() {
+    const progress = document.createElement('div');
+    progress.className = 'wizard-progress';
+    
+    const list = document.createElement('ol');
+    list.className = 'wizard-progress-steps';
+    
+    const titles = this.getTitles();
+    titles.forEach((title, index) => {
+      const item = document.createElement('li');
+      item.className = 'wizard-progress-step';
+      
+      const number = document.createElement('span');
+      number.className = 'wizard-progress-number';
+      number.textContent = index + 1;
+      
+      const label = document.createElement('span');
+      label.className = 'wizard-progress-label';
+      label.textContent = title;
+      
+      item.append(number, label);
+      list.appendChild(item);
+    });
+    
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar wizard-progress-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '1');
+    bar.setAttribute('aria-valuemax', String(titles.length));
+    
+    const fill = document.createElement('div');
+    fill.className = 'progress-fill';
+    bar.appendChild(fill);
+    
+    progress.append(list, bar);
+    this.steps[0].before(progress);
+    
+    return { element: progress, items: Array.from(list.children), bar, fill };
+  }
+  
+  createReview() {
+    const review = document.createElement('div');
+    review.className = 'form-step wizard-review';
+    review.hidden = true;
+    
+    const title = document.createElement('h4');
+    title.className = 'form-step-title';
+    window.i18n.localize(title, 'wizard.reviewTitle');
+    title.tabIndex = -1;
+    
+    const content = document.createElement('div');
+    content.className = 'wizard-review-content';
+    
+    review.append(title, content);
+    this.steps[this.steps.length - 1].after(review);
+    
+    return { element: review, title, content };
+  }
+  
+  createNavigation() {
+    const nav = document.createElement('div');
+    nav.className = 'wizard-nav';
+    
+    const backButton = document.createElement('button');
+    backButton.type = 'button';
+    backButton.className = 'wizard-btn wizard-back';
+    window.i18n.localize(backButton, 'wizard.back');
+    backButton.addEventListener('click', () => this.back());
+    
+    const nextButton = document.createElement('button');
+    nextButton.type = 'button';
+    nextButton.className = 'wizard-btn wizard-next';
+    window.i18n.localize(nextButton, 'wizard.next');
+    nextButton.addEventListener('click', () => this.next());
+    
+    nav.append(backButton, nextButton);
+    this.submitButton.before(nav);
+    
+    return { element: nav, backButton, nextButton };
+  }
+  
+  createAnnouncer() {
+    const announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('aria-live', 'polite');
+    this.form.appendChild(announcer);
+    return announcer;
+  }
+  
+  getStepTitle(step) {
+    return step.querySelector('.form-step-title')?.textContent.trim() || t('wizard.step');
+  }
+  
+  getTitles() {
+    return [...this.steps.map(step => this.getStepTitle(step)), t('wizard.review')];
+  }
+  
+  isOnReview() {
+    return this.currentIndex === this.reviewIndex;
+  }
+  
+  async next() {
+    if (this.isOnReview() || this.isAdvancing) return;
+    
+    const step = this.steps[this.currentIndex];
+    this.isAdvancing = true;
+    
+    try {
+      if (!(await this.formHandler.validateFields(this.formHandler.getValidatableFields(step)))) {
+        step.querySelector('.error')?.focus();
+        return;
+      }
+    } finally {
+      this.isAdvancing = false;
+    }
+    
+    this.showStep(this.currentIndex + 1);
+  }
+  
+  back() {
+    if (this.currentIndex > 0) {
+      this.showStep(this.currentIndex - 1);
+    }
+  }
+  
+  reset() {
+    this.showStep(0, { focus: false });
+  }
+  
+  goToStepContaining(field) {
+    const index = this.steps.findIndex(step => step.contains(field));
+    if (index !== -1 && index !== this.currentIndex) {
+      this.showStep(index, { focus: false });
+    }
+  }
+  
+  showStep(index, { focus = true } = {}) {
+    this.currentIndex = index;
+    const onReview = this.isOnReview();
+    
+    this.steps.forEach((step, stepIndex) => {
+      step.hidden = stepIndex !== index;
+    });
+    this.review.element.hidden = !onReview;
+    
+    if (onReview) {
+      this.renderReview();
+    }
+    
+    this.updateProgress();
+    
+    // Only the review screen can submit
+    this.nav.backButton.hidden = index === 0;
+    this.nav.nextButton.hidden = onReview;
+    this.submitButton.hidden = !onReview;
+    if (this.consents) this.consents.hidden = !onReview;
+    
+    const total = this.reviewIndex + 1;
+    const title = onReview ? t('wizard.review') : this.getStepTitle(this.steps[index]);
+    this.announcer.textContent = t('wizard.announce', { current: index + 1, total, title });
+    window.errorHandler?.addBreadcrumb('form', `wizard step ${index + 1} of ${total}: ${title}`);
+    
+    if (focus) {
+      const target = onReview
+        ? this.review.title
+        : this.steps[index].querySelector('input, select, textarea');
+      target?.focus();
+    }
+  }
+  
+  updateProgress() {
+    const total = this.progress.items.length;
+    
+    this.progress.items.forEach((item, index) => {
+      item.classList.toggle('completed', index < this.currentIndex);
+      item.classList.toggle('current', index === this.currentIndex);
+      if (index === this.currentIndex) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+    
+    this.progress.fill.style.width = `${((this.currentIndex + 1) / total) * 100}%`;
+    this.progress.bar.setAttribute('aria-valuenow', String(this.currentIndex + 1));
+    this.progress.bar.setAttribute('aria-valuetext', t('wizard.progress', { current: this.currentIndex + 1, total }));
+  }
+  
+  renderReview() {
+    const content = this.review.content;
+    content.innerHTML = '';
+    
+    this.steps.forEach((step, index) => {
+      const section = document.createElement('div');
+      section.className = 'wizard-review-section';
+      
+      const header = document.createElement('div');
+      header.className = 'wizard-review-header';
+      
+      const heading = document.createElement('h5');
+      heading.textContent = this.getStepTitle(step);
+      
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'wizard-edit';
+      editButton.textContent = t('wizard.edit');
+      editButton.setAttribute('aria-label', t('wizard.editStep', { step: this.getStepTitle(step) }));
+      editButton.addEventListener('click', () => this.showStep(index));
+      
+      header.append(heading, editButton);
+      
+      const list = document.createElement('dl');
+      this.getReviewEntries(step).forEach(({ label, value }) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value || t('wizard.notProvided');
+        list.append(term, description);
+      });
+      
+      section.append(header, list);
+      content.appendChild(section);
+    });
+  }
+  
+  /**
+   * Label/value pairs for every named control in a step.
+   * Checkbox groups are collapsed into one comma-separated entry.
+   */
+  getReviewEntries(step) {
+    const entries = [];
+    const seen = new Set();
+    
+    step.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+      if (seen.has(field.name)) return;
+      seen.add(field.name);
+      
+      const groupLabel = step.querySelector(`label[for="${field.name}"]`) || step.querySelector(`label[for="${field.id}"]`);
+      const label = (groupLabel?.textContent || field.getAttribute('aria-label') || field.name).replace(/\s*\*\s*$/, '').replace(/\s*\(.*\)\s*$/, '').trim();
+      
+      let value;
+      if (field.type === 'checkbox') {
+        value = Array.from(step.querySelectorAll(`input[name="${field.name}"]:checked`))
+          .map(checkbox => checkbox.closest('label')?.textContent.trim() || checkbox.value)
+          .join(', ');
+      } else if (field.tagName === 'SELECT') {
+        value = field.value ? field.selectedOptions[0]?.textContent.trim() : '';
+      } else {
+        value = field.value.trim();
+      }
+      
+      entries.push({ label, value });
+    });
+    
+    return entries;
+  }
+}
+
+/**
+ * Encrypts drafts with an AES-GCM key that never leaves the browser.
+ * The key is non-extractable and lives in IndexedDB, so the ciphertext
+ * kept in localStorage is unreadable on its own.
+ */
+class DraftVault {
+  static isSupported() {
+    return Boolean(window.crypto?.subtle && window.indexedDB);
+  }
+  
+  constructor({ dbName = 'creditboost', storeName = 'keys', keyId = 'formDraft' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyId = keyId;
+    this.key = null;
+  }
+  
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  }
+  
+  async getKey({ create = true } = {}) {
+    if (this.key) return this.key;
+    
+    let key = await this.withStore('readonly', store => store.get(this.keyId));
+    
+    if (!key && create) {
+      key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await this.withStore('readwrite', store => store.put(key, this.keyId));
+    }
+    
+    this.key = key || null;
+    return this.key;
+  }
+  
+  async encrypt(value) {
+    const key = await this.getKey();
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    
+    return {
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+  }
+  
+  async decrypt({ iv, data }) {
+    const key = await this.getKey({ create: false });
+    if (!key) {
+      throw new Error('Draft key is missing');
+    }
+    
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv) },
+      key,
+      base64ToBytes(data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+  
+  async destroy() {
+    this.key = null;
+    await this.withStore('readwrite', store => store.delete(this.keyId));
+  }
+}
+
+/**
+ * Autosaves the credit analysis form as the visitor types and offers to
+ * resume on the next visit. Drafts expire after a week. Without Web Crypto
+ * the personal fields are left out of the draft instead of stored in clear.
+ */
+class FormDraft {
+  constructor(formHandler) {
+    this.formHandler = formHandler;
+    this.form = formHandler.form;
+    this.storageKey = 'creditAnalysisDraft';
+    this.ttl = 7 * 24 * 60 * 60 * 1000;
+    this.piiFields = ['firstName', 'lastName', 'email', 'phone'];
+    this.vault = DraftVault.isSupported() ? new DraftVault() : null;
+    this.enabled = true;
+    this.resumeBanner = null;
+    
+    this.init();
+  }
+  
+  init() {
+    this.createControls();
+    
+    const scheduleSave = debounce(() => this.save(), 500);
+    const handleEdit = () => {
+      // Typing while the resume offer is showing means starting fresh
+      if (this.resumeBanner) {
+        this.dismissResume();
+      }
+      scheduleSave();
+    };
+    this.form.addEventListener('input', handleEdit);
+    this.form.addEventListener('change', handleEdit);
+    
+    this.checkForDraft();
+  }
+  
+  createControls() {
+    const footer = this.form.querySelector('.form-footer');
+    
+    const controls = document.createElement('div');
+    controls.className = 'draft-controls';
+    
+    this.statusElement = document.createElement('span');
+    this.statusElement.className = 'draft-status';
+    this.statusElement.setAttribute('aria-live', 'polite');
+    
+    this.forgetButton = document.createElement('button');
+    this.forgetButton.type = 'button';
+    this.forgetButton.className = 'draft-forget';
+    window.i18n.localize(this.forgetButton, 'draft.forget');
+    this.forgetButton.hidden = true;
+    this.forgetButton.addEventListener('click', () => this.forget());
+    
+    controls.append(this.statusElement, this.forgetButton);
+    (footer || this.form).appendChild(controls);
+  }
+  
+  collect() {
+    const fields = {};
+    
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name || field.type === 'submit' || field.type === 'file') return;
+      
+      // Consent has to be given again on every visit
+      if (field.dataset.consent) return;
+      
+      if (field.type === 'checkbox') {
+        fields[field.name] = fields[field.name] || [];
+        if (field.checked) {
+          fields[field.name].push(field.value);
+        }
+      } else {
+        fields[field.name] = field.value;
+      }
+    });
+    
+    return fields;
+  }
+  
+  hasContent(fields) {
+    return Object.values(fields).some(value => (Array.isArray(value) ? value.length : String(value).trim()));
+  }
+  
+  async save() {
+    if (!this.enabled || this.resumeBanner) return;
+    
+    const fields = this.collect();
+    if (!this.hasContent(fields)) {
+      this.clear();
+      return;
+    }
+    
+    const now = Date.now();
+    const record = {
+      version: FormDraft.VERSION,
+      savedAt: now,
+      expiresAt: now + this.ttl,
+      step: this.formHandler.wizard?.currentIndex ?? 0
+    };
+    
+    try {
+      if (this.vault) {
+        record.encrypted = await this.vault.encrypt(fields);
+      } else {
+        record.fields = this.withoutPII(fields);
+      }
+    } catch (error) {
+      console.warn('Could not encrypt form draft:', error);
+      record.fields = this.withoutPII(fields);
+    }
+    
+    // The visitor may have forgotten their data while we were encrypting
+    if (!this.enabled) return;
+    
+    if (setStoredItem(this.storageKey, record)) {
+      this.setStatus(t('draft.saved'));
+      this.forgetButton.hidden = false;
+    }
+  }
+  
+  withoutPII(fields) {
+    const safeFields = { ...fields };
+    this.piiFields.forEach(name => delete safeFields[name]);
+    return safeFields;
+  }
+  
+  async load() {
+    const record = getStoredItem(this.storageKey);
+    if (!record || record.version !== FormDraft.VERSION) return null;
+    
+    if (record.expiresAt <= Date.now()) {
+      this.clear();
+      return null;
+    }
+    
+    try {
+      const fields = record.encrypted ? await this.vault.decrypt(record.encrypted) : record.fields;
+      return { ...record, fields };
+    } catch (error) {
+      // Key was cleared or storage tampered with - the draft is unrecoverable
+      this.clear();
+      return null;
+    }
+  }
+  
+  async checkForDraft() {
+    const draft = await this.load();
+    if (draft && this.hasContent(draft.fields)) {
+      this.offerResume(draft);
+      this.forgetButton.hidden = false;
+    }
+  }
+  
+  offerResume(draft) {
+    const banner = document.createElement('div');
+    banner.className = 'draft-resume';
+    banner.setAttribute('role', 'status');
+    
+    const message = document.createElement('p');
+    const savedAt = window.i18n.formatDate(new Date(draft.savedAt), { dateStyle: 'medium', timeStyle: 'short' });
+    window.i18n.localize(message, 'draft.welcomeBack', { date: savedAt });
+    
+    const actions = document.createElement('div');
+    actions.className = 'draft-resume-actions';
+    
+    const resumeButton = document.createElement('button');
+    resumeButton.type = 'button';
+    resumeButton.className = 'draft-resume-btn';
+    window.i18n.localize(resumeButton, 'draft.resume');
+    resumeButton.addEventListener('click', () => {
+      this.dismissResume();
+      this.restore(draft);
+    });
+    
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'draft-discard-btn';
+    window.i18n.localize(discardButton, 'draft.startOver');
+    discardButton.addEventListener('click', () => {
+      this.dismissResume();
+      this.clear();
+    });
+    
+    actions.append(resumeButton, discardButton);
+    banner.append(message, actions);
+    
+    const header = this.form.querySelector('.form-header');
+    if (header) {
+      header.after(banner);
+    } else {
+      this.form.prepend(banner);
+    }
+    
+    this.resumeBanner = banner;
+  }
+  
+  dismissResume() {
+    this.resumeBanner?.remove();
+    this.resumeBanner = null;
+  }
+  
+  restore(draft) {
+    Object.entries(draft.fields).forEach(([name, value]) => {
+      const control = this.form.elements[name];
+      if (!control) return;
+      
+      if (control instanceof RadioNodeList || control.type === 'checkbox') {
+        const values = Array.isArray(value) ? value : [value];
+        const boxes = control instanceof RadioNodeList ? Array.from(control) : [control];
+        boxes.forEach(box => {
+          box.checked = values.includes(box.value);
+        });
+      } else {
+        control.value = value;
+      }
+    });
+    
+    const wizard = this.formHandler.wizard;
+    if (wizard && draft.step) {
+      wizard.showStep(Math.min(draft.step, wizard.reviewIndex));
+    }
+    
+    this.setStatus(t('draft.restored'));
+  }
+  
+  clear() {
+    removeStoredItem(this.storageKey);
+    this.forgetButton.hidden = true;
+    this.setStatus('');
+  }
+  
+  /**
+   * Wipe the stored draft and its key, and stop autosaving for this visit
+   */
+  async forget() {
+    this.enabled = false;
+    this.dismissResume();
+    this.clear();
+    
+    try {
+      await this.vault?.destroy();
+    } catch (error) {
+      console.warn('Could not remove draft key:', error);
+    }
+    
+    this.form.reset();
+    this.formHandler.wizard?.reset();
+    window.notifications.success(t('draft.forgotten'));
+  }
+  
+  setStatus(message) {
+    this.statusElement.textContent = message;
+  }
+}
+
+FormDraft.VERSION = 1;
+
+/**
+ * Error raised when a credit report can't be read
+ */
+class ReportImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportImportError';
+  }
+}
+
+/**
+ * Pulls plain text out of PDFs that have a text layer. Handles the common
+ * uncompressed and FlateDecode content streams; scanned reports (images only)
+ * and fonts with custom encodings yield no usable text.
+ */
+class PdfTextExtractor {
+  async extract(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const raw = PdfTextExtractor.toBinaryString(bytes);
+    
+    if (!raw.startsWith('%PDF')) {
+      throw new ReportImportError(t('report.unreadable'));
+    }
+    
+    const chunks = [];
+    const streamPattern = /stream\r?\n/g;
+    let match;
+    
+    while ((match = streamPattern.exec(raw)) !== null) {
+      const start = match.index + match[0].length;
+      const end = raw.indexOf('endstream', start);
+      if (end === -1) break;
+      
+      const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+      // Past "endstream", whose own "stream" would otherwise match next
+      streamPattern.lastIndex = end + 'endstream'.length;
+      
+      // Fonts and images never contain page text
+      if (/\/Subtype\s*\/Image|\/Length1|\/FontFile/.test(dictionary)) continue;
+      
+      let content = raw.slice(start, end).replace(/\r?\n$/, '');
+      if (/\/FlateDecode/.test(dictionary)) {
+        try {
+          content = await this.inflate(bytes.subarray(start, start + content.length));
+        } catch (error) {
+          continue;
+        }
+      }
+      
+      const text = this.extractText(content);
+      if (text.trim()) {
+        chunks.push(text);
+      }
+    }
+    
+    return chunks.join('\n');
+  }
+  
+  async inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    const buffer = await new Response(stream).arrayBuffer();
+    return PdfTextExtractor.toBinaryString(new Uint8Array(buffer));
+  }
+  
+  /**
+   * Walk a content stream and collect the operands of the text operators
+   * (Tj, TJ, ' and "), starting a new line whenever the text moves down.
+   */
+  extractText(content) {
+    let text = '';
+    let operands = [];
+    let index = 0;
+    
+    const newLine = () => {
+      if (text && !text.endsWith('\n')) {
+        text += '\n';
+      }
+    };
+    
+    while (index < content.length) {
+      const char = content[index];
+      
+      if (char === '(') {
+        const { value, next } = this.readLiteralString(content, index);
+        operands.push(value);
+        index = next;
+      } else if (char === '<' && content[index + 1] !== '<') {
+        const end = content.indexOf('>', index);
+        // An unterminated string means the stream is truncated or binary
+        if (end === -1) break;
+        operands.push(this.decodeHexString(content.slice(index + 1, end)));
+        index = end + 1;
+      } else if (char === '[') {
+        operands.push('[');
+        index++;
+      } else if (char === ']') {
+        const start = operands.lastIndexOf('[');
+        const items = operands.slice(start + 1);
+        operands = [...operands.slice(0, start), items];
+        index++;
+      } else if (char === '%') {
+        const end = content.indexOf('\n', index);
+        index = end === -1 ? content.length : end;
+      } else if (/\s/.test(char)) {
+        index++;
+      } else {
+        const token = content.slice(index).match(/^[^\s()<>[\]{}/%]+|^\/[^\s()<>[\]{}/%]*|^./)[0];
+        index += token.length;
+        
+        if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+          operands.push(Number(token));
+          continue;
+        }
+        if (token.startsWith('/')) {
+          operands.push(token);
+          continue;
+        }
+        
+        switch (token) {
+          case 'Tj':
+            text += operands[operands.length - 1] || '';
+            break;
+          case 'TJ':
+            (operands[operands.length - 1] || []).forEach(item => {
+              if (typeof item === 'string') {
+                text += item;
+              } else if (item < -200) {
+                // Large negative kerning is how many generators render spaces
+                text += ' ';
+              }
+            });
+            break;
+          case "'":
+          case '"':
+            newLine();
+            text += operands[operands.length - 1] || '';
+            break;
+          case 'Td':
+          case 'TD':
+            if (operands[operands.length - 1] !== 0) {
+              newLine();
+            } else {
+              text += ' ';
+            }
+            break;
+          case 'T*':
+          case 'Tm':
+          case 'ET':
+            newLine();
+            break;
+        }
+        operands = [];
+      }
+    }
+    
+    return text;
+  }
+  
+  readLiteralString(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let value = '';
+    let depth = 0;
+    let index = start;
+    
+    while (index < content.length) {
+      const char = content[index];
+      
+      if (char === '\\') {
+        const next = content[index + 1];
+        const octal = content.slice(index + 1).match(/^[0-7]{1,3}/);
+        if (octal) {
+          value += String.fromCharCode(parseInt(octal[0], 8));
+          index += octal[0].length + 1;
+        } else {
+          value += escapes[next] ?? next;
+          index += 2;
+        }
+        continue;
+      }
+      
+      if (char === '(') {
+        depth++;
+        if (depth > 1) value += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) return { value, next: index + 1 };
+        value += char;
+      } else {
+        value += char;
+      }
+      index++;
+    }
+    
+    return { value, next: index };
+  }
+  
+  decodeHexString(hex) {
+    const clean = hex.replace(/\s/g, '');
+    let value = '';
+    for (let i = 0; i < clean.length; i += 2) {
+      value += String.fromCharCode(parseInt(clean.slice(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return value;
+  }
+  
+  /**
+   * One character per byte. TextDecoder can't do this: browsers treat its
+   * "latin1" label as windows-1252, which remaps bytes 0x80-0x9F.
+   */
+  static toBinaryString(bytes) {
+    let result = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+      result += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return result;
+  }
+}
+
+/**
+ * Finds bureau scores and negative tradelines in the text of a credit report.
+ * Works line by line, so text exports, CSV rows and extracted PDF text all
+ * go through the same rules.
+ */
+class CreditReportParser {
+  parse(text, { format = 'text' } = {}) {
+    const lines = (format === 'csv' ? this.parseCSV(text).map(row => row.join(' | ')) : text.split(/\r?\n/))
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    
+    return {
+      scores: this.findScores(lines),
+      negatives: this.findNegatives(lines)
+    };
+  }
+  
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell || row.length) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(Boolean));
+  }
+  
+  getBureaus(line) {
+    return CreditReportParser.BUREAUS
+      .map(bureau => ({ bureau, index: line.search(bureau.pattern) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index)
+      .map(({ bureau }) => bureau.id);
+  }
+  
+  getScoreValues(line) {
+    const values = [];
+    // Three-digit numbers that aren't part of amounts, percentages or longer numbers
+    line.replace(/(^|[^$\d.,])([3-8]\d{2})(?=$|[^\d%,.])/g, (match, prefix, value) => {
+      values.push(Number(value));
+      return match;
+    });
+    return values.filter(value => value >= 300 && value <= 850);
+  }
+  
+  /**
+   * Handles "Equifax score: 612" lines as well as tables where a header row
+   * names the bureaus and a later "Credit Score" row lists their scores.
+   */
+  findScores(lines) {
+    const scores = {};
+    let columnBureaus = [];
+    
+    lines.forEach(line => {
+      const bureaus = this.getBureaus(line);
+      const isScoreLine = /score|fico|vantage/i.test(line);
+      const values = isScoreLine ? this.getScoreValues(line) : [];
+      
+      if (bureaus.length === 1 && values.length) {
+        scores[bureaus[0]] = scores[bureaus[0]] ?? values[values.length - 1];
+      } else if (bureaus.length > 1 && values.length === bureaus.length) {
+        bureaus.forEach((bureau, index) => {
+          scores[bureau] = scores[bureau] ?? values[index];
+        });
+      } else if (bureaus.length > 1) {
+        columnBureaus = bureaus;
+      } else if (columnBureaus.length && values.length === columnBureaus.length) {
+        columnBureaus.forEach((bureau, index) => {
+          scores[bureau] = scores[bureau] ?? values[index];
+        });
+      }
+    });
+    
+    return scores;
+  }
+  
+  findNegatives(lines) {
+    const negatives = [];
+    const seen = new Set();
+    
+    lines.forEach(line => {
+      // Summary rows such as "Collections: 0" aren't tradelines
+      if (/:\s*(0|none)\s*$/i.test(line)) return;
+      
+      CreditReportParser.NEGATIVE_TYPES.forEach(type => {
+        if (!type.pattern.test(line)) return;
+        
+        const key = `${type.id}:${line}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        negatives.push({
+          type: type.id,
+          label: type.label,
+          bureaus: this.getBureaus(line),
+          description: line.length > 120 ? `${line.slice(0, 117)}...` : line
+        });
+      });
+    });
+    
+    return negatives;
+  }
+  
+  /**
+   * Median score across bureaus, the one lenders usually go by
+   */
+  getRepresentativeScore(scores) {
+    const values = Object.values(scores).sort((a, b) => a - b);
+    return values.length ? values[Math.floor((values.length - 1) / 2)] : null;
+  }
+  
+  getScoreRange(score) {
+    if (score === null) return '';
+    if (score < 500) return 'below-500';
+    if (score < 580) return '500-579';
+    if (score < 670) return '580-669';
+    if (score < 740) return '670-739';
+    if (score < 800) return '740-799';
+    return '800+';
+  }
+}
+
+CreditReportParser.BUREAUS = [
+  { id: 'equifax', name: 'Equifax', pattern: /equifax/i },
+  { id: 'experian', name: 'Experian', pattern: /experian/i },
+  { id: 'transunion', name: 'TransUnion', pattern: /trans\s?union/i }
+];
+
+// ids match the creditIssues checkbox values
+CreditReportParser.NEGATIVE_TYPES = [
+  { id: 'collections', label: 'Collection', pattern: /collection/i },
+  { id: 'late-payments', label: 'Late payment', pattern: /\b(30|60|90|120|150|180)[\s-]*days?[\s-]*(late|past due)\b|late payment/i },
+  { id: 'charge-offs', label: 'Charge-off', pattern: /charge[\s-]?off|charged[\s-]off/i },
+  { id: 'bankruptcy', label: 'Bankruptcy', pattern: /bankruptcy|chapter\s*(7|11|13)\b/i },
+  { id: 'foreclosure', label: 'Foreclosure', pattern: /foreclos/i }
+];
+
+/**
+ * File input in the credit step that reads a report export on this device,
+ * previews what was found and, on confirmation, pre-fills the score range
+ * and credit issue checkboxes.
+ */
+class CreditReportImport {
+  constructor(formHandler) {
+    this.formHandler = formHandler;
+    this.form = formHandler.form;
+    this.input = this.form.querySelector('#creditReport');
+    this.resultElement = this.form.querySelector('.report-import-result');
+    this.parser = new CreditReportParser();
+    this.pdfExtractor = new PdfTextExtractor();
+    this.maxFileSize = 10 * 1024 * 1024;
+    this.lastResult = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.input || !this.resultElement) return;
+    
+    this.input.addEventListener('change', () => this.handleFile(this.input.files[0]));
+  }
+  
+  async handleFile(file) {
+    if (!file) return;
+    
+    this.showMessage(t('report.reading'));
+    
+    try {
+      const result = await this.readReport(file);
+      
+      if (!Object.keys(result.scores).length && !result.negatives.length) {
+        throw new ReportImportError(t('report.nothingFound'));
+      }
+      
+      this.lastResult = result;
+      this.renderPreview(result);
+    } catch (error) {
+      const message = error instanceof ReportImportError
+        ? error.message
+        : t('report.unreadable');
+      if (!(error instanceof ReportImportError)) {
+        console.error('Credit report import error:', error);
+      }
+      this.showMessage(message, 'error');
+    } finally {
+      // Allow the same file to be picked again
+      this.input.value = '';
+    }
+  }
+  
+  async readReport(file) {
+    if (file.size > this.maxFileSize) {
+      throw new ReportImportError(t('report.tooLarge'));
+    }
+    
+    const name = file.name.toLowerCase();
+    
+    if (file.type === 'application/pdf' || name.endsWith('.pdf')) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new ReportImportError(t('report.pdfUnsupported'));
+      }
+      
+      const text = await this.pdfExtractor.extract(await file.arrayBuffer());
+      if (!text.trim()) {
+        throw new ReportImportError(t('report.pdfNoText'));
+      }
+      return this.parser.parse(text);
+    }
+    
+    const format = file.type === 'text/csv' || name.endsWith('.csv') ? 'csv' : 'text';
+    return this.parser.parse(await file.text(), { format });
+  }
+  
+  showMessage(message, type = 'info') {
+    this.resultElement.hidden = false;
+    this.resultElement.className = `report-import-result report-import-${type}`;
+    this.resultElement.textContent = message;
+  }
+  
+  renderPreview(result) {
+    const container = this.resultElement;
+    container.hidden = false;
+    container.className = 'report-import-result report-import-preview';
+    container.innerHTML = '';
+    
+    const title = document.createElement('h4');
+    title.textContent = t('report.previewTitle');
+    container.appendChild(title);
+    
+    const scoreList = document.createElement('ul');
+    scoreList.className = 'report-import-scores';
+    CreditReportParser.BUREAUS.forEach(bureau => {
+      const item = document.createElement('li');
+      const score = result.scores[bureau.id];
+      item.textContent = `${bureau.name}: ${score ?? t('report.notFound')}`;
+      scoreList.appendChild(item);
+    });
+    container.appendChild(scoreList);
+    
+    const negativesTitle = document.createElement('p');
+    negativesTitle.textContent = result.negatives.length
+      ? t('report.negatives', { count: result.negatives.length })
+      : t('report.noNegatives');
+    container.appendChild(negativesTitle);
+    
+    if (result.negatives.length) {
+      const negativeList = document.createElement('ul');
+      negativeList.className = 'report-import-negatives';
+      result.negatives.forEach(negative => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `${t(`report.negative.${negative.type}`)}: `;
+        item.append(label, negative.description);
+        negativeList.appendChild(item);
+      });
+      container.appendChild(negativeList);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'report-import-actions';
+    
+    const applyButton = document.createElement('button');
+    applyButton.type = 'button';
+    applyButton.className = 'report-import-apply';
+    applyButton.textContent = t('report.apply');
+    applyButton.addEventListener('click', () => this.apply(result));
+    
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'report-import-dismiss';
+    dismissButton.textContent = t('report.dismiss');
+    dismissButton.addEventListener('click', () => this.dismiss());
+    
+    actions.append(applyButton, dismissButton);
+    container.appendChild(actions);
+    
+    title.tabIndex = -1;
+    title.focus();
+  }
+  
+  apply(result) {
+    const range = this.parser.getScoreRange(this.parser.getRepresentativeScore(result.scores));
+    const scoreSelect = this.form.querySelector('select[name="creditScore"]');
+    
+    if (range && scoreSelect) {
+      scoreSelect.value = range;
+      scoreSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    
+    const issueTypes = new Set(result.negatives.map(negative => negative.type));
+    this.form.querySelectorAll('input[name="creditIssues"]').forEach(checkbox => {
+      if (issueTypes.has(checkbox.value) && !checkbox.checked) {
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    });
+    
+    this.showMessage(t('report.applied'), 'success');
+  }
+  
+  dismiss() {
+    this.lastResult = null;
+    this.resultElement.hidden = true;
+    this.resultElement.innerHTML = '';
+  }
+}
+
+// ===================================
+// FORM FUNNEL
+// ===================================
+
+/**
+ * Where visitors slow down, stumble or give up in the analysis form. For each
+ * field it counts focuses, time spent, edits and the validation rules that
+ * failed; for each visit, the time to submit or the last field touched before
+ * leaving. Field values are never read.
+ *
+ * Visits are kept in this browser for the report: add ?formFunnel=report to
+ * the URL to see it and export it as JSON. Abandonments are also sent as a
+ * `form_abandoned` analytics event.
+ */
+class FormFunnel {
+  static isReportEnabled() {
+    return new URLSearchParams(window.location.search).get('formFunnel') === 'report';
+  }
+  
+  constructor(formHandler) {
+    this.form = formHandler.form;
+    this.storageKey = 'formFunnel';
+    this.maxVisits = 100;
+    this.visit = null;
+    this.focused = null;
+    this.panel = null;
+    
+    this.init();
+  }
+  
+  init() {
+    this.form.addEventListener('focusin', (e) => this.handleFocus(e.target));
+    this.form.addEventListener('focusout', (e) => this.handleBlur(e.target));
+    this.form.addEventListener('change', (e) => this.handleEdit(e.target));
+    window.addEventListener('pagehide', () => this.abandon());
+    
+    if (FormFunnel.isReportEnabled()) {
+      this.showReport();
+    }
+  }
+  
+  getFieldName(target) {
+    const isField = target.name && target.type !== 'hidden' && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+    return isField ? target.name : null;
+  }
+  
+  getStats(name) {
+    if (!this.visit) {
+      this.visit = { startedAt: Date.now(), fields: {}, lastField: null };
+    }
+    if (!this.visit.fields[name]) {
+      this.visit.fields[name] = { focuses: 0, timeMs: 0, edits: 0, errors: {} };
+    }
+    return this.visit.fields[name];
+  }
+  
+  handleFocus(target) {
+    const name = this.getFieldName(target);
+    if (!name) return;
+    
+    this.getStats(name).focuses++;
+    this.visit.lastField = name;
+    this.focused = { name, since: Date.now() };
+  }
+  
+  handleBlur(target) {
+    const name = this.getFieldName(target);
+    if (name && this.focused?.name === name) {
+      this.endFocus();
+    }
+  }
+  
+  endFocus() {
+    if (!this.focused || !this.visit) return;
+    
+    this.getStats(this.focused.name).timeMs += Date.now() - this.focused.since;
+    this.focused = null;
+  }
+  
+  handleEdit(target) {
+    const name = this.getFieldName(target);
+    if (!name) return;
+    
+    this.getStats(name).edits++;
+    this.visit.lastField = name;
+  }
+  
+  /**
+   * Called by FormHandler.validateField whenever a rule fails
+   */
+  recordError(name, rule) {
+    const errors = this.getStats(name).errors;
+    errors[rule.type] = (errors[rule.type] || 0) + 1;
+  }
+  
+  /**
+   * Close the visit as a successful submission. Returns seconds taken.
+   */
+  complete() {
+    if (!this.visit) return null;
+    
+    this.endFocus();
+    const seconds = Math.round((Date.now() - this.visit.startedAt) / 1000);
+    this.finish({ outcome: 'submitted', timeToSubmitMs: Date.now() - this.visit.startedAt });
+    return seconds;
+  }
+  
+  abandon() {
+    if (!this.visit) return;
+    
+    this.endFocus();
+    const { lastField, fields, startedAt } = this.visit;
+    this.finish({ outcome: 'abandoned' });
+    
+    window.analytics?.track('form_abandoned', {
+      form_type: 'credit_analysis',
+      last_field: lastField,
+      fields_touched: Object.keys(fields).length,
+      seconds: Math.round((Date.now() - startedAt) / 1000)
+    });
+    // The pipeline's own pagehide flush may already have run
+    window.analytics?.flush();
+  }
+  
+  finish(result) {
+    const visit = { ...this.visit, ...result, startedAt: new Date(this.visit.startedAt).toISOString() };
+    this.visit = null;
+    
+    if (this.canStore()) {
+      setStoredItem(this.storageKey, [...this.getVisits(), visit].slice(-this.maxVisits));
+    }
+    this.panel && this.renderReport();
+  }
+  
+  canStore() {
+    return !window.cookieConsent || window.cookieConsent.has('analytics');
+  }
+  
+  getVisits() {
+    return getStoredItem(this.storageKey, []);
+  }
+  
+  getFieldLabel(name) {
+    const control = this.form.querySelector(`[name="${name}"]`);
+    const label = control?.id && this.form.querySelector(`label[for="${control.id}"]`);
+    return (label || control?.closest('.form-group')?.querySelector('label'))?.textContent.trim() || name;
+  }
+  
+  /**
+   * Aggregate of every stored visit, fields in form order
+   */
+  getReport() {
+    const visits = this.getVisits();
+    const submitted = visits.filter(visit => visit.outcome === 'submitted');
+    const abandoned = visits.filter(visit => visit.outcome === 'abandoned');
+    const submitTimes = submitted.map(visit => visit.timeToSubmitMs).sort((a, b) => a - b);
+    
+    const names = new Set(Array.from(this.form.querySelectorAll('[name]'), control => this.getFieldName(control)).filter(Boolean));
+    visits.forEach(visit => Object.keys(visit.fields).forEach(name => names.add(name)));
+    
+    const fields = Array.from(names).map(name => {
+      const stats = visits.map(visit => visit.fields[name]).filter(Boolean);
+      const errors = {};
+      stats.forEach(stat => Object.entries(stat.errors).forEach(([type, count]) => {
+        errors[type] = (errors[type] || 0) + count;
+      }));
+      const timeMs = stats.reduce((sum, stat) => sum + stat.timeMs, 0);
+      
+      return {
+        name,
+        label: this.getFieldLabel(name),
+        reached: stats.filter(stat => stat.focuses > 0 || stat.edits > 0).length,
+        averageSeconds: stats.length ? Math.round(timeMs / stats.length / 100) / 10 : 0,
+        edits: stats.reduce((sum, stat) => sum + stat.edits, 0),
+        errors,
+        abandonedHere: abandoned.filter(visit => visit.lastField === name).length
+      };
+    });
+    
+    return {
+      generatedAt: new Date().toISOString(),
+      visits: visits.length,
+      submitted: submitted.length,
+      abandoned: abandoned.length,
+      completionRate: visits.length ? Math.round((submitted.length / visits.length) * 100) : 0,
+      medianSecondsToSubmit: submitTimes.length ? Math.round(submitTimes[Math.floor(submitTimes.length / 2)] / 1000) : null,
+      fields
+    };
+  }
+  
+  exportReport() {
+    downloadFile(`form-funnel-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(this.getReport(), null, 2), 'application/json');
+  }
+  
+  reset() {
+    removeStoredItem(this.storageKey);
+    this.panel && this.renderReport();
+  }
+  
+  showReport() {
+    this.panel = document.createElement('aside');
+    this.panel.className = 'analytics-debug funnel-report';
+    this.panel.setAttribute('aria-label', 'Form funnel report');
+    this.panel.innerHTML = `
+      <div class="analytics-debug-header">
+        <strong>Form funnel</strong>
+        <button type="button" data-funnel-action="export">Export JSON</button>
+        <button type="button" data-funnel-action="reset">Reset</button>
+      </div>
+      <div class="funnel-report-body"></div>
+    `;
+    
+    this.panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-funnel-action]')?.dataset.funnelAction;
+      if (action === 'export') this.exportReport();
+      if (action === 'reset') this.reset();
+    });
+    
+    document.body.appendChild(this.panel);
+    this.renderReport();
+  }
+  
+  renderReport() {
+    const report = this.getReport();
+    const rows = report.fields.map(field => `
+      <tr>
+        <th scope="row">${escapeHTML(field.label)}</th>
+        <td>${field.reached}</td>
+        <td>${field.averageSeconds}s</td>
+        <td>${field.edits}</td>
+        <td>${escapeHTML(Object.entries(field.errors).map(([type, count]) => `${type} ×${count}`).join(', ') || '-')}</td>
+        <td>${field.abandonedHere}</td>
+      </tr>
+    `).join('');
+    
+    this.panel.querySelector('.funnel-report-body').innerHTML = `
+      <p>${report.visits} visits · ${report.submitted} submitted (${report.completionRate}%) · ${report.abandoned} abandoned${report.medianSecondsToSubmit === null ? '' : ` · median ${report.medianSecondsToSubmit}s to submit`}</p>
+      <table>
+        <thead>
+          <tr><th scope="col">Field</th><th scope="col">Reached</th><th scope="col">Avg time</th><th scope="col">Edits</th><th scope="col">Errors</th><th scope="col">Left here</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+}
+
+// ===================================
+// LEAD SCORING
+// ===================================
+
+/**
+ * Turns a submitted lead into a priority tier, a case complexity estimate
+ * and a specialist queue. Each rule matches when the lead's field equals
+ * `equals` (or, for checkbox groups, includes it); arrays match any value.
+ * Tiers and levels are checked highest `min` first. Override any of it by
+ * adding a <script type="application/json" id="leadScoringRules"> block to
+ * the page; `priority` and `complexity` merge key by key, and a new `version`
+ * tells leads scored under different rules apart.
+ */
+const LEAD_SCORING_RULES = {
+  version: 1,
+  priority: {
+    rules: [
+      { field: 'timeline', equals: 'asap', points: 40, reason: 'Needs results as soon as possible' },
+      { field: 'timeline', equals: '3-months', points: 30, reason: 'Goal within 3 months' },
+      { field: 'timeline', equals: '6-months', points: 20, reason: 'Goal within 6 months' },
+      { field: 'timeline', equals: '12-months', points: 10, reason: 'Goal within 12 months' },
+      { field: 'creditScore', equals: ['below-500', '500-579'], points: 25, reason: 'Poor score range, most room to improve' },
+      { field: 'creditScore', equals: '580-669', points: 20, reason: 'Fair score range, close to better rates' },
+      { field: 'creditScore', equals: '670-739', points: 10, reason: 'Good score range' },
+      { field: 'creditScore', equals: 'unknown', points: 15, reason: 'Does not know their score yet' },
+      { field: 'goals', present: true, points: 5, reason: 'Described their credit goals' }
+    ],
+    tiers: [
+      { id: 'hot', label: 'Hot', min: 55 },
+      { id: 'warm', label: 'Warm', min: 30 },
+      { id: 'cold', label: 'Cold', min: 0 }
+    ]
+  },
+  complexity: {
+    rules: [
+      { field: 'creditIssues', equals: 'bankruptcy', points: 4, reason: 'Bankruptcy on file' },
+      { field: 'creditIssues', equals: 'foreclosure', points: 3, reason: 'Foreclosure on file' },
+      { field: 'creditIssues', equals: 'identity-theft', points: 3, reason: 'Identity theft claims need affidavits and police reports' },
+      { field: 'creditIssues', equals: 'charge-offs', points: 2, reason: 'Charge-offs to dispute with original creditors' },
+      { field: 'creditIssues', equals: 'collections', points: 2, reason: 'Collection accounts to validate' },
+      { field: 'creditIssues', equals: 'late-payments', points: 1, reason: 'Late payments to dispute' },
+      { field: 'creditScore', equals: 'below-500', points: 2, reason: 'Very low score suggests many negative items' }
+    ],
+    levels: [
+      { id: 'high', label: 'High', min: 7 },
+      { id: 'moderate', label: 'Moderate', min: 3 },
+      { id: 'low', label: 'Low', min: 0 }
+    ]
+  },
+  // First match wins; `priority` and `complexity` refer to the tier and level ids
+  queues: [
+    { id: 'identity-theft', label: 'Identity Theft Specialists', when: { creditIssues: 'identity-theft' }, reason: 'Reported identity theft' },
+    { id: 'public-records', label: 'Bankruptcy & Foreclosure Team', when: { creditIssues: ['bankruptcy', 'foreclosure'] }, reason: 'Has public records or a foreclosure' },
+    { id: 'rapid-response', label: 'Rapid Response Team', when: { priority: 'hot' }, reason: 'Hot lead, contact first' },
+    { id: 'complex-cases', label: 'Senior Case Analysts', when: { complexity: 'high' }, reason: 'High case complexity' },
+    { id: 'general', label: 'Credit Advisors', when: {}, reason: 'Standard review' }
+  ]
+};
+
+class LeadScorer {
+  constructor(rules = LeadScorer.loadRules()) {
+    this.rules = rules;
+  }
+  
+  static loadRules(source = document.getElementById('leadScoringRules')) {
+    if (!source) return LEAD_SCORING_RULES;
+    
+    try {
+      const custom = JSON.parse(source.textContent);
+      const rules = {
+        ...LEAD_SCORING_RULES,
+        ...custom,
+        priority: { ...LEAD_SCORING_RULES.priority, ...custom.priority },
+        complexity: { ...LEAD_SCORING_RULES.complexity, ...custom.complexity }
+      };
+      
+      const valid = [rules.priority.rules, rules.priority.tiers, rules.complexity.rules, rules.complexity.levels, rules.queues]
+        .every(list => Array.isArray(list) && list.length > 0);
+      if (!valid) throw new Error('rules, tiers, levels and queues must be non-empty arrays');
+      
+      return rules;
+    } catch (error) {
+      console.error('Invalid lead scoring rules, using defaults:', error);
+      return LEAD_SCORING_RULES;
+    }
+  }
+  
+  /**
+   * Returns { priority, complexity, queue, rulesVersion }. Priority and
+   * complexity include the points and the reason for every matched rule.
+   */
+  score(lead) {
+    const priority = this.scoreDimension(this.rules.priority, this.rules.priority.tiers, lead);
+    const complexity = this.scoreDimension(this.rules.complexity, this.rules.complexity.levels, lead);
+    const queue = this.route({ ...lead, priority: priority.id, complexity: complexity.id });
+    
+    return {
+      priority,
+      complexity,
+      queue,
+      rulesVersion: this.rules.version,
+      scoredAt: new Date().toISOString()
+    };
+  }
+  
+  scoreDimension(dimension, bands, lead) {
+    const reasons = dimension.rules
+      .filter(rule => this.matches(lead[rule.field], rule))
+      .map(rule => ({ field: rule.field, points: rule.points, reason: rule.reason }));
+    
+    const score = reasons.reduce((total, entry) => total + entry.points, 0);
+    const band = [...bands].sort((a, b) => b.min - a.min).find(candidate => score >= candidate.min) || bands[bands.length - 1];
+    
+    return { id: band.id, label: band.label, score, reasons };
+  }
+  
+  matches(value, rule) {
+    if (rule.present) {
+      return Array.isArray(value) ? value.length > 0 : Boolean(value && String(value).trim());
+    }
+    
+    const expected = Array.isArray(rule.equals) ? rule.equals : [rule.equals];
+    const actual = Array.isArray(value) ? value : [value];
+    return actual.some(item => expected.includes(item));
+  }
+  
+  route(lead) {
+    const queue = this.rules.queues.find(candidate =>
+      Object.entries(candidate.when).every(([field, equals]) => this.matches(lead[field], { equals }))
+    ) || this.rules.queues[this.rules.queues.length - 1];
+    
+    return { id: queue.id, label: queue.label, reason: queue.reason };
+  }
+}
+
+// ===================================
+// CONSENT AUDIT
+// ===================================
+
+/**
+ * Records which consents were given, against which version of the disclosure
+ * text, so every lead carries proof of what the visitor agreed to. Checkboxes
+ * are marked with data-consent="<id>" and their disclosure text with
+ * data-consent-disclosure="<id>" data-version="...". The record notes the
+ * page language, as the hash covers the disclosure in that language.
+ */
+class ConsentAudit {
+  constructor(form) {
+    this.form = form;
+    this.storageKey = ConsentAudit.STORAGE_KEY;
+    this.exportButton = document.querySelector('.consent-export');
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.exportButton) return;
+    
+    this.exportButton.hidden = !this.getRecords().length;
+    this.exportButton.addEventListener('click', () => this.export());
+  }
+  
+  getCheckboxes() {
+    return Array.from(this.form.querySelectorAll('input[data-consent]'));
+  }
+  
+  /**
+   * The disclosure exactly as rendered, with whitespace collapsed so
+   * re-indenting the markup doesn't change the hash
+   */
+  getDisclosureText(element) {
+    return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  async hash(text) {
+    if (!window.crypto?.subtle || typeof TextEncoder === 'undefined') return null;
+    
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Builds the audit record sent with a submission
+   */
+  async createRecord() {
+    const consents = await Promise.all(this.getCheckboxes().map(async checkbox => {
+      const id = checkbox.dataset.consent;
+      const disclosure = this.form.querySelector(`[data-consent-disclosure="${id}"]`);
+      const text = this.getDisclosureText(disclosure);
+      const textHash = await this.hash(text);
+      
+      const consent = {
+        id,
+        field: checkbox.name,
+        granted: checkbox.checked,
+        version: disclosure?.dataset.version || null,
+        textHash,
+        hashAlgorithm: textHash ? 'SHA-256' : null
+      };
+      
+      // Without a hash, keep the text itself so the record can still be verified
+      if (!textHash) consent.text = text;
+      
+      return consent;
+    }));
+    
+    return {
+      id: generateId(),
+      recordedAt: new Date().toISOString(),
+      pageUrl: window.location.href,
+      language: document.documentElement.lang,
+      userAgent: navigator.userAgent,
+      consents
+    };
+  }
+  
+  /**
+   * Keeps a copy of the record on this device once the lead is accepted
+   */
+  save(record, leadId = null) {
+    const records = [...this.getRecords(), { ...record, leadId }].slice(-ConsentAudit.MAX_RECORDS);
+    setStoredItem(this.storageKey, records);
+    
+    if (this.exportButton) this.exportButton.hidden = false;
+  }
+  
+  getRecords() {
+    return getStoredItem(this.storageKey, []);
+  }
+  
+  export(records = this.getRecords()) {
+    downloadFile('consent-records.json', JSON.stringify(records, null, 2), 'application/json');
+  }
+}
+
+ConsentAudit.STORAGE_KEY = 'consentAuditLog';
+ConsentAudit.MAX_RECORDS = 50;
+
+// ===================================
+// DISPUTE LETTERS
+// ===================================
+
+/**
+ * Consumer dispute mailing addresses for the three bureaus
+ */
+const CREDIT_BUREAUS = {
+  equifax: {
+    name: 'Equifax',
+    legalName: 'Equifax Information Services LLC',
+    address: ['P.O. Box 740256', 'Atlanta, GA 30374-0256']
+  },
+  experian: {
+    name: 'Experian',
+    legalName: 'Experian',
+    address: ['P.O. Box 4500', 'Allen, TX 75013']
+  },
+  transunion: {
+    name: 'TransUnion',
+    legalName: 'TransUnion LLC Consumer Dispute Center',
+    address: ['P.O. Box 2000', 'Chester, PA 19016-2000']
+  }
+};
+
+/**
+ * Letter templates. {{placeholders}} are filled per client and bureau.
+ * Override any part by adding a <script type="application/json"
+ * id="disputeLetterTemplates"> block with the same shape to the page.
+ */
+const DISPUTE_LETTER_TEMPLATES = {
+  subject: 'Dispute of inaccurate information - request for reinvestigation (FCRA Section 611) and disclosure (FCRA Section 609)',
+  intro: 'I am writing to dispute the accuracy of the items listed below that appear in my {{bureauName}} credit file. Under Section 611 of the Fair Credit Reporting Act (15 U.S.C. § 1681i), I request that you conduct a reasonable reinvestigation of each item and delete or correct any information that is inaccurate, incomplete or cannot be verified.',
+  verification: 'Under Section 609 of the Fair Credit Reporting Act (15 U.S.C. § 1681g), I also request a description of the procedure used to determine the accuracy and completeness of each item, including the name, address and telephone number of any furnisher you contacted, along with copies of any documents you relied on to verify it.',
+  closing: 'Please complete your reinvestigation within 30 days of receiving this letter, as required by law, and send me an updated copy of my credit report showing the results. Copies of my identification and proof of address are enclosed.',
+  accountPlaceholder: '[Creditor name] - Account # [account number] - Reason: [why this is inaccurate]',
+  issues: {
+    'collections': {
+      heading: 'Collection accounts',
+      body: 'The following collection accounts are reported inaccurately. I do not recognize these debts as reported, and the collector has not provided validation of the amount or my responsibility for it.'
+    },
+    'late-payments': {
+      heading: 'Late payments',
+      body: 'The following accounts show late payments that are inaccurate. The payment history reported does not match my records.'
+    },
+    'charge-offs': {
+      heading: 'Charged-off accounts',
+      body: 'The following accounts are reported as charged off with a status, balance or date that is inaccurate or incomplete.'
+    },
+    'bankruptcy': {
+      heading: 'Bankruptcy record',
+      body: 'The following public record of bankruptcy contains inaccurate information, including the filing date, chapter, discharge status or accounts reported as included in it.'
+    },
+    'foreclosure': {
+      heading: 'Foreclosure',
+      body: 'The following account is reported as a foreclosure with dates, amounts or status that are inaccurate or cannot be verified.'
+    },
+    'identity-theft': {
+      heading: 'Accounts resulting from identity theft',
+      body: 'The following accounts were opened or used without my authorization as a result of identity theft. Under Section 605B of the Fair Credit Reporting Act (15 U.S.C. § 1681c-2), I ask that you block this information from my file. A copy of my identity theft report is enclosed.'
+    }
+  }
+};
+
+/**
+ * Builds FCRA dispute letters from a submitted lead, one per bureau, with a
+ * section for each selected credit issue. Accounts found by the credit
+ * report import are listed under the bureaus that report them; otherwise a
+ * placeholder line is left for the client to complete.
+ */
+class DisputeLetterGenerator {
+  constructor(templates = DisputeLetterGenerator.loadTemplates()) {
+    this.templates = templates;
+  }
+  
+  static loadTemplates() {
+    const overrides = document.getElementById('disputeLetterTemplates');
+    if (!overrides) return DISPUTE_LETTER_TEMPLATES;
+    
+    try {
+      const custom = JSON.parse(overrides.textContent);
+      return {
+        ...DISPUTE_LETTER_TEMPLATES,
+        ...custom,
+        issues: { ...DISPUTE_LETTER_TEMPLATES.issues, ...(custom.issues || {}) }
+      };
+    } catch (error) {
+      console.error('Invalid dispute letter templates, using defaults:', error);
+      return DISPUTE_LETTER_TEMPLATES;
+    }
+  }
+  
+  /**
+   * Returns [{ bureau, bureauName, filename, html }], one per bureau
+   */
+  generate(lead, report = null) {
+    const issues = (lead.creditIssues || []).filter(issue => this.templates.issues[issue]);
+    if (!issues.length) return [];
+    
+    const clientName = `${lead.firstName || ''} ${lead.lastName || ''}`.trim() || '[Your full name]';
+    const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const slug = (lead.lastName || 'client').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client';
+    
+    return Object.entries(CREDIT_BUREAUS).map(([id, bureau]) => ({
+      bureau: id,
+      bureauName: bureau.name,
+      filename: `dispute-letter-${id}-${slug}.html`,
+      html: this.renderLetter({ clientName, date, bureau, bureauId: id, issues, report })
+    }));
+  }
+  
+  getAccounts(issue, bureauId, report) {
+    const negatives = report?.negatives || [];
+    const accounts = negatives
+      .filter(negative => negative.type === issue)
+      .filter(negative => !negative.bureaus.length || negative.bureaus.includes(bureauId))
+      .map(negative => negative.description);
+    
+    return accounts.length ? accounts : [this.templates.accountPlaceholder];
+  }
+  
+  fill(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+  
+  renderLetter({ clientName, date, bureau, bureauId, issues, report }) {
+    const values = { clientName, date, bureauName: bureau.name };
+    const text = template => escapeHTML(this.fill(template, values));
+    
+    const issueSections = issues.map(issue => {
+      const template = this.templates.issues[issue];
+      const accounts = this.getAccounts(issue, bureauId, report)
+        .map(account => `<li>${escapeHTML(account)}</li>`)
+        .join('');
+      
+      return `
+        <h3>${text(template.heading)}</h3>
+        <p>${text(template.body)}</p>
+        <ul>${accounts}</ul>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Dispute letter - ${escapeHTML(bureau.name)} - ${escapeHTML(clientName)}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; color: #111; max-width: 7.5in; margin: 0.75in auto; padding: 0 0.25in; }
+  .sender, .recipient { margin-bottom: 1.5em; }
+  .subject { font-weight: bold; margin-bottom: 1.5em; }
+  h3 { font-size: 12pt; margin: 1.5em 0 0.5em; }
+  ul { margin: 0.5em 0 1em 1.25em; padding: 0; }
+  .signature { margin-top: 3em; }
+  .placeholder-note { font-size: 10pt; color: #555; border: 1px dashed #999; padding: 0.5em; margin-bottom: 2em; }
+  @media print { .placeholder-note { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+  <p class="placeholder-note">Replace everything in [square brackets] before mailing. This note is not printed.</p>
+  <div class="sender">
+    ${escapeHTML(clientName)}<br>
+    [Street address]<br>
+    [City, State ZIP]<br>
+    Date of birth: [MM/DD/YYYY] &middot; SSN (last 4): [XXXX]
+  </div>
+  <p>${escapeHTML(date)}</p>
+  <div class="recipient">
+    ${escapeHTML(bureau.legalName)}<br>
+    ${bureau.address.map(escapeHTML).join('<br>\n    ')}
+  </div>
+  <p class="subject">RE: ${text(this.templates.subject)}</p>
+  <p>Dear Sir or Madam,</p>
+  <p>${text(this.templates.intro)}</p>
+  ${issueSections}
+  <p>${text(this.templates.verification)}</p>
+  <p>${text(this.templates.closing)}</p>
+  <div class="signature">
+    <p>Sincerely,</p>
+    <p><br>______________________________<br>${escapeHTML(clientName)}</p>
+  </div>
+  <p>Enclosures: copy of government-issued ID, proof of address</p>
+</body>
+</html>
+`;
+  }
+}
+
+/**
+ * Offers the generated letters in the success modal: download each bureau's
+ * letter as HTML or print it (and save as PDF from the print dialog).
+ */
+class DisputeLetterPanel {
+  constructor() {
+    this.container = document.getElementById('disputeLetters');
+    this.list = this.container?.querySelector('.dispute-letter-list');
+    this.generator = new DisputeLetterGenerator();
+    this.letters = [];
+  }
+  
+  prepare(lead, report) {
+    if (!this.container || !this.list) return;
+    
+    this.letters = this.generator.generate(lead, report);
+    this.container.hidden = !this.letters.length;
+    this.list.innerHTML = '';
+    
+    this.letters.forEach(letter => {
+      const item = document.createElement('li');
+      item.className = 'dispute-letter-item';
+      
+      const name = document.createElement('span');
+      name.textContent = letter.bureauName;
+      
+      const downloadButton = document.createElement('button');
+      downloadButton.type = 'button';
+      downloadButton.className = 'dispute-letter-btn';
+      downloadButton.dataset.i18nAttr = 'aria-label:letters.downloadLabel';
+      window.i18n.localize(downloadButton, 'letters.download', { bureau: letter.bureauName });
+      downloadButton.addEventListener('click', () => this.download(letter));
+      
+      const printButton = document.createElement('button');
+      printButton.type = 'button';
+      printButton.className = 'dispute-letter-btn';
+      printButton.dataset.i18nAttr = 'aria-label:letters.printLabel';
+      window.i18n.localize(printButton, 'letters.print', { bureau: letter.bureauName });
+      printButton.addEventListener('click', () => this.print(letter));
+      
+      item.append(name, downloadButton, printButton);
+      this.list.appendChild(item);
+    });
+    
+    const downloadAll = this.container.querySelector('.dispute-letter-all');
+    if (downloadAll && !downloadAll.dataset.bound) {
+      downloadAll.dataset.bound = 'true';
+      downloadAll.addEventListener('click', () => this.letters.forEach(letter => this.download(letter)));
+    }
+  }
+  
+  download(letter) {
+    downloadFile(letter.filename, letter.html, 'text/html');
+  }
+  
+  print(letter) {
+    // A hidden frame avoids popup blockers
+    const frame = document.createElement('iframe');
+    frame.className = 'sr-only';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.srcdoc = letter.html;
+    frame.addEventListener('load', () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    });
+    document.body.appendChild(frame);
+  }
+}
+
+// ===================================
+// CONSULTATION BOOKING
+// ===================================
+
+/**
+ * Opening hours from the site config's `hours` entry:
+ *   { timeZone, weekly: [{ days: [1, 2, 3, 4, 5], open: '08:00', close: '20:00' }], holidays }
+ * Days use Date#getDay numbering (0 = Sunday). Holidays are YYYY-MM-DD dates
+ * in the business time zone when we are closed all day.
+ */
+class BusinessHours {
+  constructor(config = window.siteConfig?.get('hours') || {}) {
+    this.timeZone = config.timeZone || 'America/New_York';
+    this.holidays = new Set(config.holidays || []);
+    this.periods = (config.weekly || []).map(period => ({
+      days: period.days,
+      open: BusinessHours.toMinutes(period.open),
+      close: BusinessHours.toMinutes(period.close)
+    }));
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+  }
+  
+  static toMinutes(time = '00:00') {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+  
+  /**
+   * Wall-clock date and time at the business for an instant
+   */
+  getZonedParts(date) {
+    const parts = {};
+    this.formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+  
+  /**
+   * Minutes the business time zone is ahead of UTC at an instant
+   */
+  getOffset(date) {
+    const { year, month, day, minutes } = this.getZonedParts(date);
+    const asUTC = Date.UTC(year, month - 1, day, 0, minutes);
+    return Math.round((asUTC - date.getTime()) / 60000);
+  }
+  
+  /**
+   * The instant a business wall-clock time happens, accounting for DST
+   */
+  toInstant(year, month, day, minutes) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = this.getOffset(new Date(guess));
+    const instant = guess - offset * 60000;
+    const correctedOffset = this.getOffset(new Date(instant));
+    
+    return new Date(correctedOffset === offset ? instant : guess - correctedOffset * 60000);
+  }
+  
+  /**
+   * Opening period for a business calendar day, or null when closed
+   */
+  getPeriod(weekday, year, month, day) {
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (this.holidays.has(key)) return null;
+    
+    return this.periods.find(period => period.days.includes(weekday)) || null;
+  }
+  
+  isOpen(date = new Date()) {
+    const { year, month, day, weekday, minutes } = this.getZonedParts(date);
+    const period = this.getPeriod(weekday, year, month, day);
+    return Boolean(period && minutes >= period.open && minutes < period.close);
+  }
+  
+  /**
+   * { open, closesAt, opensAt } for an instant. opensAt is the next opening
+   * within two weeks when closed, or null if there is none.
+   */
+  getStatus(date = new Date()) {
+    const current = this.getOpenings(date, 15).find(opening => opening.end > date);
+    
+    if (current && current.start <= date) {
+      return { open: true, closesAt: current.end, opensAt: null };
+    }
+    return { open: false, closesAt: null, opensAt: current?.start || null };
+  }
+  
+  /**
+   * [{ start, end }] opening windows for the business days starting at `from`
+   */
+  getOpenings(from = new Date(), days = 7) {
+    const today = this.getZonedParts(from);
+    const openings = [];
+    
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+      const period = this.getPeriod(date.getUTCDay(), year, month, day);
+      if (!period) continue;
+      
+      openings.push({
+        start: this.toInstant(year, month, day, period.open),
+        end: this.toInstant(year, month, day, period.close)
+      });
+    }
+    
+    return openings;
+  }
+}
+
+/**
+ * Lets a visitor pick a consultation slot in the success modal. Slots are
+ * cut from the business hours, shown in the visitor's time zone, and booked
+ * against the lead that was just submitted.
+ */
+class ConsultationBooking {
+  constructor(hours = new BusinessHours()) {
+    this.hours = hours;
+    this.container = document.getElementById('consultationBooking');
+    this.endpoint = this.container?.dataset.endpoint || '/api/consultations';
+    this.slotMinutes = parseInt(this.container?.dataset.slotMinutes, 10) || 30;
+    this.daysAhead = parseInt(this.container?.dataset.daysAhead, 10) || 7;
+    this.minNoticeMinutes = parseInt(this.container?.dataset.minNotice, 10) || 120;
+    this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.slots = [];
+    this.selectedSlot = null;
+    this.booking = null;
+    this.lead = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.container) return;
+    
+    this.daySelect = this.container.querySelector('.booking-day');
+    this.slotList = this.container.querySelector('.booking-slots');
+    this.confirmButton = this.container.querySelector('.booking-confirm');
+    this.statusElement = this.container.querySelector('.booking-status');
+    this.picker = this.container.querySelector('.booking-picker');
+    this.confirmation = this.container.querySelector('.booking-confirmation');
+    this.summaryElement = this.container.querySelector('.booking-summary');
+    
+    const timeZoneElement = this.container.querySelector('.booking-timezone');
+    if (timeZoneElement) {
+      window.i18n.localize(timeZoneElement, 'booking.timeZone', { timeZone: this.timeZone.replace(/_/g, ' ') });
+    }
+    
+    this.daySelect.addEventListener('change', () => this.renderSlots());
+    this.confirmButton.addEventListener('click', () => this.book());
+    this.container.querySelector('.booking-ics')?.addEventListener('click', () => this.downloadInvite());
+    document.addEventListener('locale:changed', () => this.handleLocaleChange());
+  }
+  
+  /**
+   * Re-word dates and times, keeping the visitor's day and time
+   */
+  handleLocaleChange() {
+    if (this.booking) {
+      this.showConfirmation();
+      return;
+    }
+    if (!this.slots.length) return;
+    
+    const day = this.daySelect.value;
+    const selected = this.selectedSlot;
+    this.renderDays();
+    this.daySelect.value = day;
+    this.renderSlots();
+    
+    if (selected) {
+      const index = this.slots.filter(slot => this.getDayKey(slot.start) === day).indexOf(selected);
+      this.selectSlot(selected, this.slotList.querySelectorAll('.booking-slot')[index]);
+    }
+  }
+  
+  /**
+   * Resets the picker for a freshly submitted lead and loads open slots
+   */
+  async prepare(lead) {
+    if (!this.container) return;
+    
+    this.lead = lead;
+    this.booking = null;
+    this.selectedSlot = null;
+    this.container.hidden = !lead.leadId;
+    this.picker.hidden = false;
+    this.confirmation.hidden = true;
+    
+    if (!lead.leadId) return;
+    
+    await this.loadSlots();
+  }
+  
+  async loadSlots() {
+    this.setStatus(t('booking.loading'));
+    
+    const openings = this.hours.getOpenings(new Date(), this.daysAhead);
+    const taken = await this.fetchTaken(openings[0]?.start, openings[openings.length - 1]?.end);
+    
+    this.slots = this.getSlots(openings, taken);
+    this.renderDays();
+    this.setStatus(this.slots.length ? '' : t('booking.none'));
+  }
+  
+  /**
+   * Start times (ISO strings) that are already booked. If availability
+   * can't be loaded every slot is offered and the booking call decides.
+   */
+  async fetchTaken(from, to) {
+    if (!from || !to) return [];
+    
+    try {
+      const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+      const response = await fetch(`${this.endpoint}?${params}`, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) return [];
+      
+      const body = await response.json();
+      return body.taken || [];
+    } catch (error) {
+      console.warn('Could not load consultation availability:', error);
+      return [];
+    }
+  }
+  
+  getSlots(openings, taken) {
+    const takenTimes = new Set(taken.map(start => new Date(start).getTime()));
+    const earliest = Date.now() + this.minNoticeMinutes * 60000;
+    const length = this.slotMinutes * 60000;
+    const slots = [];
+    
+    openings.forEach(({ start, end }) => {
+      for (let time = start.getTime(); time + length <= end.getTime(); time += length) {
+        if (time >= earliest && !takenTimes.has(time)) {
+          slots.push({ start: new Date(time), end: new Date(time + length) });
+        }
+      }
+    });
+    
+    return slots;
+  }
+  
+  getDayKey(date) {
+    return date.toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+  
+  renderDays() {
+    const days = new Map();
+    this.slots.forEach(slot => {
+      const key = this.getDayKey(slot.start);
+      if (!days.has(key)) {
+        days.set(key, window.i18n.formatDate(slot.start, { weekday: 'long', month: 'short', day: 'numeric', timeZone: this.timeZone }));
+      }
+    });
+    
+    this.daySelect.innerHTML = '';
+    days.forEach((label, key) => {
+      this.daySelect.add(new Option(label, key));
+    });
+    this.daySelect.disabled = !days.size;
+    
+    this.renderSlots();
+  }
+  
+  renderSlots() {
+    const day = this.daySelect.value;
+    this.slotList.innerHTML = '';
+    this.selectSlot(null);
+    
+    this.slots.filter(slot => this.getDayKey(slot.start) === day).forEach(slot => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'booking-slot';
+      button.textContent = this.formatTime(slot.start);
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => this.selectSlot(slot, button));
+      this.slotList.appendChild(button);
+    });
+  }
+  
+  selectSlot(slot, button = null) {
+    this.selectedSlot = slot;
+    this.slotList.querySelectorAll('.booking-slot').forEach(slotButton => {
+      slotButton.setAttribute('aria-pressed', String(slotButton === button));
+    });
+    this.confirmButton.disabled = !slot;
+  }
+  
+  async book() {
+    if (!this.selectedSlot || this.isBooking) return;
+    
+    const slot = this.selectedSlot;
+    this.isBooking = true;
+    this.confirmButton.disabled = true;
+    this.setStatus(t('booking.booking'));
+    
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          leadId: this.lead.leadId,
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+          timeZone: this.timeZone
+        })
+      });
+      
+      if (response.status === 409) {
+        await this.loadSlots();
+        this.setStatus(t('booking.taken'));
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Booking failed with status ${response.status}`);
+      }
+      
+      const body = await response.json().catch(() => ({}));
+      this.booking = { id: body.id || generateId(), ...slot };
+      this.showConfirmation();
+      window.analytics?.track('consultation_booked', {
+        lead_id: this.lead.leadId,
+        days_ahead: Math.round((slot.start - Date.now()) / 86400000)
+      });
+    } catch (error) {
+      console.error('Consultation booking error:', error);
+      this.setStatus(t('booking.failed'));
+      this.confirmButton.disabled = false;
+    } finally {
+      this.isBooking = false;
+    }
+  }
+  
+  showConfirmation() {
+    const { start } = this.booking;
+    const date = window.i18n.formatDate(start, { weekday: 'long', month: 'long', day: 'numeric', timeZone: this.timeZone });
+    
+    this.picker.hidden = true;
+    this.confirmation.hidden = false;
+    this.summaryElement.textContent = t('booking.confirmed', { date, time: this.formatTime(start) });
+    this.setStatus('');
+  }
+  
+  formatTime(date) {
+    return window.i18n.formatDate(date, { hour: 'numeric', minute: '2-digit', timeZone: this.timeZone });
+  }
+  
+  /**
+   * RFC 5545 calendar invite for the booked slot
+   */
+  createInvite(booking = this.booking) {
+    const stamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escapeText = text => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    const company = window.siteConfig?.get('company.name') || 'CreditBoost Elite';
+    // Lines longer than 75 characters continue on the next line after a space
+    const fold = line => line.match(/.{1,74}/g).join('\r\n ');
+    
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${company}//Consultation Booking//EN`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${booking.id}@creditboost-elite`,
+      `DTSTAMP:${stamp(new Date())}`,
+      `DTSTART:${stamp(booking.start)}`,
+      `DTEND:${stamp(booking.end)}`,
+      `SUMMARY:${escapeText(t('booking.invite.summary', { company }))}`,
+      `DESCRIPTION:${escapeText(t('booking.invite.description', { company }))}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(t('booking.invite.reminder'))}`,
+      'TRIGGER:-PT30M',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].map(fold).join('\r\n');
+  }
+  
+  downloadInvite() {
+    if (!this.booking) return;
+    downloadFile('creditboost-consultation.ics', this.createInvite(), 'text/calendar');
+  }
+  
+  setStatus(message) {
+    if (this.statusElement) this.statusElement.textContent = message;
+  }
+}
+
+// ===================================
+// WHATSAPP CHAT
+// ===================================
+
+/**
+ * Opens WhatsApp with a message that carries what the visitor has already
+ * told us, and shows whether the team is online. Outside business hours the
+ * modal and FAB point to the form and callback booking instead.
+ */
+class WhatsAppChat {
+  constructor(hours = new BusinessHours()) {
+    this.hours = hours;
+    this.modal = document.getElementById('whatsappModal');
+    this.form = document.getElementById('creditAnalysisForm');
+    this.fabLink = document.querySelector('.fab-whatsapp');
+    this.fabCallback = document.querySelector('.fab-callback');
+    this.statusElement = this.modal?.querySelector('.chat-status');
+    this.offlineOptions = this.modal?.querySelector('.chat-offline');
+    this.number = this.getNumber();
+    this.context = { plan: null, service: null };
+    this.status = null;
+    
+    this.init();
+  }
+  
+  init() {
+    document.addEventListener('plan:selected', (e) => {
+      this.context.plan = e.detail.plan;
+    });
+    document.addEventListener('service:selected', (e) => {
+      this.context.service = e.detail.service;
+    });
+    
+    // Rewrite every wa.me link at click time so it carries the latest context
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="https://wa.me/"]');
+      if (link) link.href = this.getUrl();
+    });
+    
+    this.modal?.querySelectorAll('[data-chat-action]').forEach(button => {
+      button.addEventListener('click', () => this.handleOfflineAction(button.dataset.chatAction));
+    });
+    
+    this.updateStatus();
+    setInterval(() => this.updateStatus(), 60000);
+    document.addEventListener('locale:changed', () => this.updateStatus());
+  }
+  
+  getNumber() {
+    return window.siteConfig?.getWhatsAppNumber() || '';
+  }
+  
+  getName() {
+    const first = this.form?.querySelector('[name="firstName"]')?.value.trim();
+    const last = this.form?.querySelector('[name="lastName"]')?.value.trim();
+    return [first, last].filter(Boolean).join(' ');
+  }
+  
+  getCreditIssues() {
+    return Array.from(this.form?.querySelectorAll('input[name="creditIssues"]:checked') || [])
+      .map(checkbox => checkbox.closest('label')?.textContent.trim() || checkbox.value);
+  }
+  
+  buildMessage() {
+    const name = this.getName();
+    const issues = this.getCreditIssues();
+    const lines = [name ? t('chat.message.greetingName', { name }) : t('chat.message.greeting')];
+    
+    if (this.context.plan) {
+      lines.push(t('chat.message.plan', { plan: this.context.plan }));
+    }
+    if (this.context.service) {
+      lines.push(t('chat.message.service', { service: this.context.service }));
+    }
+    if (issues.length) {
+      lines.push(t('chat.message.issues', { issues: window.i18n.formatList(issues) }));
+    }
+    if (lines.length === 1) {
+      lines.push(t('chat.message.interest'));
+    }
+    lines.push(t('chat.message.help'));
+    
+    return lines.join(' ');
+  }
+  
+  getUrl() {
+    return `https://wa.me/${this.number}?text=${encodeURIComponent(this.buildMessage())}`;
+  }
+  
+  /**
+   * Chat straight away while we're online; otherwise explain when we're back
+   */
+  open() {
+    this.updateStatus();
+    window.analytics?.track('whatsapp_click', { source: 'chat_button', online: this.status.open });
+    
+    if (this.status.open || !this.modal) {
+      window.open(this.getUrl(), '_blank');
+      return;
+    }
+    
+    window.modalManager?.open('whatsappModal');
+  }
+  
+  handleOfflineAction(action) {
+    window.modalManager?.close(this.modal);
+    scrollToSection('contact');
+    
+    if (action === 'callback') {
+      this.form?.querySelector('input, select, textarea')?.focus({ preventScroll: true });
+    }
+  }
+  
+  updateStatus(now = new Date()) {
+    this.status = this.hours.getStatus(now);
+    const text = this.describeStatus(this.status, now);
+    
+    if (this.statusElement) {
+      this.statusElement.classList.toggle('online', this.status.open);
+      this.statusElement.querySelector('.chat-status-text').textContent = text;
+    }
+    if (this.offlineOptions) {
+      this.offlineOptions.hidden = this.status.open;
+    }
+    if (this.fabLink && this.fabCallback) {
+      this.fabLink.hidden = !this.status.open;
+      this.fabCallback.hidden = this.status.open;
+    }
+  }
+  
+  /**
+   * "Online now" or "Offline - back at 9:00 AM" in the visitor's time zone
+   */
+  describeStatus(status, now = new Date()) {
+    if (status.open) {
+      return t('chat.status.online', { time: this.formatTime(status.closesAt) });
+    }
+    if (!status.opensAt) {
+      return t('chat.status.offline');
+    }
+    
+    const time = this.formatTime(status.opensAt);
+    const sameDay = status.opensAt.toDateString() === now.toDateString();
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).toDateString() === status.opensAt.toDateString();
+    
+    if (sameDay) return t('chat.status.backToday', { time });
+    if (tomorrow) return t('chat.status.backTomorrow', { time });
+    return t('chat.status.backOn', { day: window.i18n.formatDate(status.opensAt, { weekday: 'long' }), time });
+  }
+  
+  formatTime(date) {
+    return window.i18n.formatDate(date, { hour: 'numeric', minute: '2-digit' });
+  }
+}
+
+// ===================================
+// MODAL MANAGEMENT
+// ===================================
+
+/**
+ * Stops the page scrolling while anything that asks for it is open (the
+ * mobile menu, dialogs). Each owner locks and unlocks on its own, so one of
+ * them closing never unlocks the page under another. The scrollbar's width
+ * is padded back so the layout doesn't jump.
+ */
+class ScrollLock {
+  constructor() {
+    this.owners = new Set();
+    this.previous = null;
+  }
+  
+  lock(owner) {
+    if (!this.owners.size) {
+      const { style } = document.body;
+      const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+      
+      this.previous = { overflow: style.overflow, paddingRight: style.paddingRight };
+      style.overflow = 'hidden';
+      if (scrollbar > 0) style.paddingRight = `${scrollbar}px`;
+    }
+    
+    this.owners.add(owner);
+  }
+  
+  unlock(owner) {
+    if (!this.owners.delete(owner) || this.owners.size) return;
+    
+    document.body.style.overflow = this.previous.overflow;
+    document.body.style.paddingRight = this.previous.paddingRight;
+  }
+  
+  isLocked() {
+    return this.owners.size > 0;
+  }
+}
+
+/**
+ * Dialogs: every .modal on the page, plus confirm() and prompt() dialogs
+ * built on demand. Open dialogs form a stack, so one opened from another
+ * sits on top of it and Escape only closes the top one. While any is open
+ * the rest of the page is inert and doesn't scroll, Tab stays inside the
+ * top dialog, and focus goes back where it was on close.
+ *
+ * open() resolves with the result the dialog is closed with. Each modal
+ * fires bubbling `modal:opened` and `modal:closed` events; closed carries
+ * the result in its detail.
+ */
+class ModalManager {
+  constructor() {
+    this.modals = document.querySelectorAll('.modal');
+    this.stack = [];
+    
+    this.init();
+  }
+  
+  init() {
+    this.modals.forEach(modal => this.setup(modal));
+    
+    // Close buttons and overlays, including those of dialogs built later
+    document.addEventListener('click', (e) => {
+      const closer = e.target.closest('.modal-close, .modal-overlay, [data-modal-close]');
+      const modal = closer?.closest('.modal');
+      if (modal) this.close(modal);
+    });
+    
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+  
+  /**
+   * Dialog semantics for a .modal: its content box is the dialog, labelled
+   * by the first heading inside it
+   */
+  setup(modal) {
+    const dialog = this.getDialog(modal);
+    if (dialog.hasAttribute('role')) return;
+    
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.tabIndex = -1;
+    
+    const heading = dialog.querySelector('h1, h2, h3, h4');
+    if (heading) {
+      heading.id = heading.id || `${modal.id || generateId()}-title`;
+      dialog.setAttribute('aria-labelledby', heading.id);
+    }
+    
+    modal.querySelector('.modal-overlay')?.setAttribute('aria-hidden', 'true');
+  }
+  
+  getDialog(modal) {
+    return modal.querySelector('.modal-content') || modal;
+  }
+  
+  resolve(target) {
+    return typeof target === 'string' ? document.getElementById(target) : target;
+  }
+  
+  isOpen(target) {
+    const modal = this.resolve(target);
+    return this.stack.some(layer => layer.modal === modal);
+  }
+  
+  getTop() {
+    return this.stack[this.stack.length - 1] || null;
+  }
+  
+  /**
+   * Opens a modal by id or element on top of any already open
+   */
+  open(target) {
+    const modal = this.resolve(target);
+    if (!modal) return Promise.resolve(undefined);
+    
+    const existing = this.stack.find(layer => layer.modal === modal);
+    if (existing) return existing.closed;
+    
+    this.setup(modal);
+    
+    const layer = {
+      modal,
+      returnFocus: document.activeElement,
+      inerted: this.makeBackgroundInert(modal)
+    };
+    layer.closed = new Promise(resolve => {
+      layer.resolve = resolve;
+    });
+    this.stack.push(layer);
+    
+    // Later dialogs stay above earlier ones whatever their order in the page
+    modal.style.zIndex = `calc(var(--z-modal) + ${this.stack.length - 1})`;
+    modal.classList.add('active');
+    window.scrollLock?.lock(modal);
+    
+    this.focusInitial(modal);
+    modal.dispatchEvent(new CustomEvent('modal:opened', { bubbles: true, detail: { id: modal.id } }));
+    
+    return layer.closed;
+  }
+  
+  /**
+   * Closes a modal, and any opened on top of it, with an optional result
+   */
+  close(target, result) {
+    const modal = this.resolve(target);
+    const index = this.stack.findIndex(layer => layer.modal === modal);
+    if (index === -1) return;
+    
+    while (this.stack.length > index + 1) {
+      this.close(this.getTop().modal);
+    }
+    
+    const layer = this.stack.pop();
+    modal.classList.remove('active');
+    modal.style.zIndex = '';
+    layer.inerted.forEach(element => element.removeAttribute('inert'));
+    window.scrollLock?.unlock(modal);
+    
+    if (layer.returnFocus?.isConnected && layer.returnFocus !== document.body) {
+      layer.returnFocus.focus({ preventScroll: true });
+    } else if (this.getTop()) {
+      this.getDialog(this.getTop().modal).focus();
+    }
+    
+    modal.dispatchEvent(new CustomEvent('modal:closed', { bubbles: true, detail: { id: modal.id, result } }));
+    layer.resolve(result);
+  }
+  
+  /**
+   * Makes everything outside the modal inert and returns what it changed,
+   * so closing restores exactly that. Live regions and toasts stay active
+   * so their announcements still reach screen readers.
+   */
+  makeBackgroundInert(modal) {
+    const changed = [];
+    
+    for (let node = modal; node.parentElement && node !== document.body; node = node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling === node || sibling.hasAttribute('inert') || sibling.matches(ModalManager.KEEP_ACTIVE)) return;
+        sibling.setAttribute('inert', '');
+        changed.push(sibling);
+      });
+    }
+    
+    return changed;
+  }
+  
+  getFocusable(modal) {
+    return Array.from(modal.querySelectorAll(ModalManager.FOCUSABLE))
+      .filter(element => !element.closest('[hidden]'));
+  }
+  
+  focusInitial(modal) {
+    const target = modal.querySelector('[autofocus], [data-modal-focus]') ||
+      this.getFocusable(modal)[0] ||
+      this.getDialog(modal);
+    target.focus();
+  }
+  
+  handleKeydown(e) {
+    const layer = this.getTop();
+    if (!layer) return;
+    
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close(layer.modal);
+    } else if (e.key === 'Tab') {
+      this.trapFocus(e, layer.modal);
+    }
+  }
+  
+  /**
+   * Wraps Tab and Shift+Tab around the ends of the dialog
+   */
+  trapFocus(e, modal) {
+    const focusable = this.getFocusable(modal);
+    const active = document.activeElement;
+    
+    if (!focusable.length) {
+      e.preventDefault();
+      this.getDialog(modal).focus();
+      return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !modal.contains(active) || active === this.getDialog(modal);
+    
+    if (e.shiftKey && (active === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  /**
+   * Asks a yes/no question. Resolves true when confirmed, false otherwise.
+   */
+  async confirm(message, { title = '', confirmLabel = t('modal.ok'), cancelLabel = t('modal.cancel') } = {}) {
+    const { modal, body } = this.createDialog(title, message);
+    
+    const actions = this.createActions(cancelLabel, confirmLabel, () => this.close(modal, true));
+    actions.lastChild.dataset.modalFocus = '';
+    body.appendChild(actions);
+    
+    const result = await this.open(modal);
+    this.removeDialog(modal);
+    return result === true;
+  }
+  
+  /**
+   * Asks for a line of text. Resolves with the text, or null if cancelled.
+   */
+  async prompt(message, { title = '', defaultValue = '', placeholder = '', required = false, confirmLabel = t('modal.ok'), cancelLabel = t('modal.cancel') } = {}) {
+    const { modal, body, messageElement } = this.createDialog(title, message);
+    
+    const form = document.createElement('form');
+    form.className = 'modal-prompt';
+    form.noValidate = true;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `${modal.id}-input`;
+    input.value = defaultValue;
+    input.placeholder = placeholder;
+    input.required = required;
+    input.dataset.modalFocus = '';
+    messageElement.replaceWith(Object.assign(document.createElement('label'), {
+      className: messageElement.className,
+      htmlFor: input.id,
+      textContent: message
+    }));
+    
+    form.append(input, this.createActions(cancelLabel, confirmLabel));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (required && !input.value.trim()) {
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+        return;
+      }
+      this.close(modal, input.value);
+    });
+    body.appendChild(form);
+    
+    const result = await this.open(modal);
+    this.removeDialog(modal);
+    return typeof result === 'string' ? result : null;
+  }
+  
+  /**
+   * A .modal for confirm() and prompt(); all text is set as text
+   */
+  createDialog(title, message) {
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-dialog';
+    modal.id = `dialog-${generateId()}`;
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3></h3>
+          <button type="button" class="modal-close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body">
+          <p class="modal-message"></p>
+        </div>
+      </div>
+      <div class="modal-overlay"></div>
+    `;
+    
+    const heading = modal.querySelector('h3');
+    const messageElement = modal.querySelector('.modal-message');
+    messageElement.id = `${modal.id}-message`;
+    messageElement.textContent = message;
+    modal.querySelector('.modal-close').setAttribute('aria-label', t('modal.close'));
+    
+    if (title) {
+      heading.textContent = title;
+    } else {
+      heading.remove();
+    }
+    
+    this.setup(modal);
+    const dialog = this.getDialog(modal);
+    if (!title) dialog.setAttribute('aria-labelledby', messageElement.id);
+    dialog.setAttribute('aria-describedby', messageElement.id);
+    
+    document.body.appendChild(modal);
+    return { modal, body: modal.querySelector('.modal-body'), messageElement };
+  }
+  
+  /**
+   * Cancel and confirm buttons; without onConfirm the confirm button
+   * submits the form it's placed in
+   */
+  createActions(cancelLabel, confirmLabel, onConfirm) {
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'modal-btn secondary';
+    cancelButton.textContent = cancelLabel;
+    cancelButton.dataset.modalClose = '';
+    
+    const confirmButton = document.createElement('button');
+    confirmButton.type = onConfirm ? 'button' : 'submit';
+    confirmButton.className = 'modal-btn';
+    confirmButton.textContent = confirmLabel;
+    if (onConfirm) confirmButton.addEventListener('click', onConfirm);
+    
+    actions.append(cancelButton, confirmButton);
+    return actions;
+  }
+  
+  removeDialog(modal) {
+    // Let the closing transition finish first
+    setTimeout(() => modal.remove(), 300);
+  }
+}
+
+ModalManager.FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/**
+ * Left active behind an open dialog
+ */
+ModalManager.KEEP_ACTIVE = '[aria-live], .notification-stack, script, style';
+
+// ===================================
+// SCROLL ANIMATIONS
+// ===================================
+
+class ScrollAnimations {
+  constructor() {
+    this.elements = document.querySelectorAll('[data-animate]');
+    this.observer = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!window.IntersectionObserver) {
+      // Fallback for older browsers
+      this.elements.forEach(el => el.classList.add('animated'));
+      return;
+    }
+    
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.animateElement(entry.target);
+          this.observer.unobserve(entry.target);
+        }
+      });
+    }, {
+      threshold: 0.1,
+      rootMargin: '0px 0px -50px 0px'
+    });
+    
+    this.elements.forEach(el => {
+      el.classList.add('animate-on-scroll');
+      this.observer.observe(el);
+    });
+  }
+  
+  animateElement(element) {
+    const animationType = element.dataset.animate;
+    const delay = parseInt(element.dataset.delay) || 0;
+    
+    setTimeout(() => {
+      element.classList.add('animated');
+      
+      // Add specific animation class if specified
+      if (animationType) {
+        element.classList.add(`animate-${animationType}`);
+      }
+    }, delay);
+  }
+}
+
+// ===================================
+// SMOOTH SCROLLING
+// ===================================
+
+class SmoothScrolling {
+  constructor() {
+    this.init();
+  }
+  
+  init() {
+    // Handle all anchor links
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+      link.addEventListener('click', (e) => this.handleClick(e));
+    });
+  }
+  
+  handleClick(e) {
+    const href = e.currentTarget.getAttribute('href');
+    const targetId = href.slice(1);
+    
+    if (targetId) {
+      e.preventDefault();
+      scrollToSection(targetId);
+    }
+  }
+}
+
+// ===================================
+// CREDIT SCORE ANIMATION
+// ===================================
+
+class CreditScoreAnimation {
+  constructor() {
+    this.card = document.querySelector('.credit-score-card');
+    this.scoreElement = document.querySelector('.current-score');
+    this.changeElement = document.querySelector('.score-change');
+    this.gauge = document.querySelector('.score-gauge');
+    this.bandElement = document.querySelector('.score-band');
+    this.captionElement = document.querySelector('.score-story');
+    this.breakdownElement = document.querySelector('.score-breakdown');
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    this.rotateInterval = parseInt(this.card?.dataset.rotateInterval, 10) || 6000;
+    this.currentIndex = 0;
+    this.isPaused = false;
+    this.isAnimating = false;
+    this.stopped = false;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.scoreElement) return;
+    
+    this.stories = this.loadStories();
+    this.renderStory(this.stories[0]);
+    this.showFinal();
+    
+    document.addEventListener('locale:changed', () => {
+      this.renderStory(this.story);
+      if (this.bandElement && this.gauge?.dataset.band) {
+        this.bandElement.textContent = t(`score.band.${this.gauge.dataset.band}`);
+      }
+    });
+    
+    if (this.card) {
+      this.card.addEventListener('mouseenter', () => this.pause());
+      this.card.addEventListener('mouseleave', () => this.play());
+      this.card.addEventListener('focusin', () => this.pause());
+      this.card.addEventListener('focusout', (e) => {
+        if (!this.card.contains(e.relatedTarget)) this.play();
+      });
+    }
+    
+    // Animate when in viewport
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.animateScore();
+          observer.unobserve(entry.target);
+        }
+      });
+    });
+    
+    observer.observe(this.scoreElement);
+  }
+  
+  /**
+   * Stories come from a <script type="application/json" id="creditScoreStories">
+   * array when present (captions, labels and displays may be { "en", "es" }
+   * objects), otherwise from the card's data-start-score and
+   * data-end-score attributes and the data-value of each .breakdown-item
+   */
+  loadStories() {
+    const config = document.getElementById('creditScoreStories');
+    if (config) {
+      try {
+        const stories = JSON.parse(config.textContent)
+          .filter(story => Number.isFinite(story.startScore) && Number.isFinite(story.endScore));
+        if (stories.length) return stories;
+      } catch (error) {
+        console.error('Invalid credit score stories, using card attributes:', error);
+      }
+    }
+    
+    const data = this.card?.dataset || {};
+    const breakdown = Array.from(document.querySelectorAll('.score-breakdown .breakdown-item')).map(item => ({
+      label: item.querySelector('.item-label')?.textContent.trim(),
+      value: parseFloat(item.dataset.value) || 0,
+      display: item.querySelector('.item-score')?.textContent.trim()
+    }));
+    
+    return [{
+      startScore: parseInt(data.startScore, 10) || 555,
+      endScore: parseInt(data.endScore, 10) || parseInt(this.scoreElement.textContent, 10) || 742,
+      caption: data.storyCaption || '',
+      breakdown
+    }];
+  }
+  
+  get story() {
+    return this.stories[this.currentIndex];
+  }
+  
+  /**
+   * Fills in the caption and breakdown bars for a story
+   */
+  renderStory(story) {
+    const caption = window.i18n.pick(story.caption);
+    
+    if (this.captionElement) {
+      this.captionElement.textContent = caption || '';
+      this.captionElement.hidden = !caption;
+    }
+    
+    if (!this.breakdownElement) return;
+    
+    const items = this.breakdownElement.querySelectorAll('.breakdown-item');
+    const breakdown = story.breakdown || [];
+    
+    // Keep the card's height steady for stories without a breakdown
+    this.breakdownElement.classList.toggle('is-empty', !breakdown.length);
+    
+    items.forEach((item, index) => {
+      const entry = breakdown[index];
+      if (!entry) return;
+      
+      item.querySelector('.item-label').textContent = window.i18n.pick(entry.label);
+      item.querySelector('.item-score').textContent = window.i18n.pick(entry.display) ?? `${entry.value}%`;
+      item.querySelector('.progress-fill').style.width = `${Math.min(100, Math.max(0, entry.value))}%`;
+    });
+  }
+  
+  animateScore() {
+    if (this.stopped) return;
+    
+    const { startScore, endScore } = this.story;
+    const finalChange = endScore - startScore;
+    
+    if (this.reducedMotion) {
+      this.showFinal();
+      this.scheduleNext();
+      return;
+    }
+    
+    this.isAnimating = true;
+    const cancel = this.tween(startScore, endScore, 2000, (currentScore, easeProgress) => {
+      this.scoreElement.textContent = Math.round(currentScore);
+      this.setGauge(currentScore);
+      
+      // Animate change
+      if (this.changeElement) {
+        this.changeElement.textContent = this.formatChange(Math.round(finalChange * easeProgress));
+      }
+    }, () => {
+      this.isAnimating = false;
+      this.scheduleNext();
+    });
+    
+    this.cancelIntro = () => {
+      cancel();
+      this.isAnimating = false;
+    };
+  }
+  
+  /**
+   * "+12" for gains, "-12" for drops
+   */
+  formatChange(change) {
+    return `${change > 0 ? '+' : ''}${window.i18n.formatNumber(change)}`;
+  }
+  
+  /**
+   * Queues the next story once the current one has been on screen for the
+   * rotate interval. Reduced-motion users only see the first story.
+   */
+  scheduleNext() {
+    clearTimeout(this.rotateTimer);
+    if (this.stories.length < 2 || this.reducedMotion || this.stopped || this.isPaused) return;
+    
+    this.rotateTimer = setTimeout(() => {
+      this.currentIndex = (this.currentIndex + 1) % this.stories.length;
+      this.renderStory(this.story);
+      this.animateScore();
+    }, this.rotateInterval);
   }
   
-  createMobileMenu() {
-    // Add mobile menu classes for better styling
-    if (this.navMenu) {
-      this.navMenu.classList.add('mobile-nav-menu');
-    }
+  pause() {
+    this.isPaused = true;
+    clearTimeout(this.rotateTimer);
   }
   
-  toggleMenu() {
-    this.isOpen = !this.isOpen;
-    this.updateMenuState();
+  play() {
+    this.isPaused = false;
+    if (!this.stopped && !this.isAnimating) this.scheduleNext();
   }
   
-  openMenu() {
-    this.isOpen = true;
-    this.updateMenuState();
+  /**
+   * Paints the current story's end score, change and gauge without animating
+   */
+  showFinal() {
+    const { startScore, endScore } = this.story;
+    
+    this.scoreElement.textContent = endScore;
+    if (this.changeElement) this.changeElement.textContent = this.formatChange(endScore - startScore);
+    this.setGauge(endScore);
   }
   
-  closeMenu() {
-    this.isOpen = false;
-    this.updateMenuState();
+  /**
+   * Fills the gauge arc to the score's position in the 300-850 range and
+   * colours it by FICO band
+   */
+  setGauge(score) {
+    if (!this.gauge) return;
+    
+    const [min, max] = CreditScoreAnimation.RANGE;
+    const progress = Math.min(1, Math.max(0, (score - min) / (max - min)));
+    const band = CreditScoreAnimation.getBand(score);
+    
+    this.gauge.style.setProperty('--gauge-progress', progress.toFixed(4));
+    this.gauge.dataset.band = band.id;
+    if (this.bandElement) this.bandElement.textContent = t(`score.band.${band.id}`);
   }
   
-  updateMenuState() {
-    if (this.hamburger) {
-      this.hamburger.classList.toggle('active', this.isOpen);
-    }
+  /**
+   * Eases a value from `from` to `to`, calling onStep(value, easeProgress)
+   * on every frame and onComplete at the end. Returns a function that
+   * cancels the animation. Keeps no state on the card, as the simulator
+   * runs its own tweens through it.
+   */
+  tween(from, to, duration, onStep, onComplete) {
+    const steps = Math.max(1, Math.round(duration / (2000 / 60)));
+    const stepDuration = duration / steps;
     
-    if (this.navMenu) {
-      this.navMenu.classList.toggle('active', this.isOpen);
+    let currentStep = 0;
+    
+    const interval = setInterval(() => {
+      currentStep++;
+      const progress = currentStep / steps;
+      const easeProgress = this.easeOutCubic(progress);
       
-      // Animate menu items
-      if (this.isOpen) {
-        this.navMenu.style.display = 'flex';
-        setTimeout(() => {
-          this.navMenu.style.opacity = '1';
-          this.navMenu.style.transform = 'translateY(0)';
-        }, 10);
-      } else {
-        this.navMenu.style.opacity = '0';
-        this.navMenu.style.transform = 'translateY(-20px)';
-        setTimeout(() => {
-          this.navMenu.style.display = 'none';
-        }, 300);
+      onStep(from + (to - from) * easeProgress, easeProgress);
+      
+      if (currentStep >= steps) {
+        clearInterval(interval);
+        if (onComplete) onComplete();
       }
-    }
+    }, stepDuration);
     
-    // Prevent body scroll when menu is open
-    document.body.style.overflow = this.isOpen ? 'hidden' : '';
+    return () => clearInterval(interval);
   }
   
-  handleOutsideClick(e) {
-    if (this.isOpen && !e.target.closest('.nav-container')) {
-      this.closeMenu();
-    }
+  /**
+   * Skips to the current story's final values and halts rotation, e.g. when
+   * the simulator takes over the gauge
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.rotateTimer);
+    if (this.cancelIntro) this.cancelIntro();
+    
+    this.showFinal();
   }
   
-  handleResize() {
-    // Close mobile menu on desktop
-    if (window.innerWidth >= 1024) {
-      this.closeMenu();
-      document.body.style.overflow = '';
-    }
+  /**
+   * Hands the gauge back after stop() and resumes rotating stories
+   */
+  resume() {
+    this.stopped = false;
+    this.showFinal();
+    this.scheduleNext();
+  }
+  
+  easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+  
+  static getBand(score) {
+    return CreditScoreAnimation.BANDS.find(band => score >= band.min) ||
+      CreditScoreAnimation.BANDS[CreditScoreAnimation.BANDS.length - 1];
   }
 }
 
+CreditScoreAnimation.RANGE = [300, 850];
+
+/**
+ * FICO score bands, highest first; labels are score.band.<id> messages
+ */
+CreditScoreAnimation.BANDS = [
+  { id: 'excellent', min: 800 },
+  { id: 'very-good', min: 740 },
+  { id: 'good', min: 670 },
+  { id: 'fair', min: 580 },
+  { id: 'poor', min: 300 }
+];
+
 // ===================================
-// HEADER SCROLL EFFECTS
+// SCORE SIMULATOR
 // ===================================
 
-class HeaderEffects {
-  constructor() {
-    this.header = document.querySelector('.header');
-    this.lastScrollY = window.scrollY;
-    this.scrollThreshold = 100;
+/**
+ * Weights and slider ranges for the what-if simulator. Each factor is rated
+ * 0-1 between its `worst` and `best` values (raised to `curve`), and the
+ * weighted average is mapped onto `range`. `label` and `format` are message
+ * keys; `format` is given the value as {count}. Override any of it by adding a
+ * <script type="application/json" id="scoreSimulatorModel"> block to the page.
+ */
+const SCORE_SIMULATOR_MODEL = {
+  range: [300, 850],
+  spread: 20,
+  factors: {
+    paymentHistory: {
+      label: 'score.factor.paymentHistory',
+      format: 'simulator.value.percent',
+      weight: 35,
+      min: 50, max: 100, step: 1, value: 95,
+      worst: 50, best: 100, curve: 1
+    },
+    utilization: {
+      label: 'score.factor.utilization',
+      format: 'simulator.value.percent',
+      weight: 30,
+      min: 0, max: 100, step: 1, value: 15,
+      worst: 100, best: 0, curve: 1
+    },
+    creditAge: {
+      label: 'score.factor.creditAge',
+      format: 'simulator.value.years',
+      weight: 15,
+      min: 0, max: 30, step: 0.5, value: 7,
+      worst: 0, best: 20, curve: 0.5
+    },
+    collections: {
+      label: 'score.factor.collections',
+      format: 'simulator.value.count',
+      weight: 10,
+      min: 0, max: 10, step: 1, value: 0,
+      worst: 5, best: 0, curve: 2
+    },
+    inquiries: {
+      label: 'score.factor.inquiries',
+      format: 'simulator.value.count',
+      weight: 10,
+      min: 0, max: 15, step: 1, value: 1,
+      worst: 10, best: 0, curve: 1
+    }
+  }
+};
+
+class ScoreSimulator {
+  constructor(animation) {
+    this.animation = animation;
+    this.card = document.querySelector('.credit-score-card');
+    this.panel = document.getElementById('scoreSimulator');
+    this.toggleButton = document.querySelector('.simulator-toggle');
+    this.scoreElement = document.querySelector('.current-score');
+    this.rangeElement = document.querySelector('.score-range');
+    this.statusElement = this.card?.querySelector('.status-badge .status-text');
+    this.model = this.loadModel();
+    this.values = {};
+    this.displayedScore = null;
+    this.cancelTween = null;
+    this.isActive = false;
     
     this.init();
   }
   
   init() {
-    if (!this.header) return;
+    if (!this.card || !this.panel || !this.toggleButton) return;
     
-    window.addEventListener('scroll', throttle(() => this.handleScroll(), 16));
-    this.handleScroll(); // Initial call
+    Object.entries(this.model.factors).forEach(([id, factor]) => {
+      this.values[id] = factor.value;
+    });
+    
+    this.toggleButton.addEventListener('click', () => this.toggle());
+    document.addEventListener('locale:changed', () => {
+      if (this.isActive) this.update();
+    });
   }
   
-  handleScroll() {
-    const currentScrollY = window.scrollY;
-    
-    // Add/remove scrolled class
-    if (currentScrollY > this.scrollThreshold) {
-      this.header.classList.add('scrolled');
-    } else {
-      this.header.classList.remove('scrolled');
-    }
+  loadModel() {
+    const overrides = document.getElementById('scoreSimulatorModel');
+    if (!overrides) return SCORE_SIMULATOR_MODEL;
     
-    // Hide/show header on scroll
-    if (currentScrollY > this.lastScrollY && currentScrollY > this.scrollThreshold) {
-      this.header.style.transform = 'translateY(-100%)';
-    } else {
-      this.header.style.transform = 'translateY(0)';
+    try {
+      const custom = JSON.parse(overrides.textContent);
+      const factors = { ...SCORE_SIMULATOR_MODEL.factors };
+      Object.entries(custom.factors || {}).forEach(([id, factor]) => {
+        factors[id] = { ...(factors[id] || {}), ...factor };
+      });
+      return { ...SCORE_SIMULATOR_MODEL, ...custom, factors };
+    } catch (error) {
+      console.error('Invalid score simulator model, using defaults:', error);
+      return SCORE_SIMULATOR_MODEL;
     }
-    
-    this.lastScrollY = currentScrollY;
-  }
-}
-
-// ===================================
-// FAQ ACCORDION
-// ===================================
-
-class FAQAccordion {
-  constructor() {
-    this.faqItems = document.querySelectorAll('.faq-item');
-    this.init();
   }
   
-  init() {
-    this.faqItems.forEach(item => {
-      const question = item.querySelector('.faq-question');
-      if (question) {
-        question.addEventListener('click', () => this.toggleItem(item));
-      }
-    });
+  /**
+   * How good a factor value is, from 0 (worst) to 1 (best)
+   */
+  rate(factor, value) {
+    const linear = (value - factor.worst) / (factor.best - factor.worst);
+    const clamped = Math.min(1, Math.max(0, linear));
+    return Math.pow(clamped, factor.curve || 1);
   }
   
-  toggleItem(item) {
-    const isActive = item.classList.contains('active');
+  /**
+   * Returns { score, low, high } for the given slider values
+   */
+  estimate(values = this.values) {
+    const [min, max] = this.model.range;
+    let weighted = 0;
+    let totalWeight = 0;
     
-    // Close all other items (optional: remove this for multiple open items)
-    this.faqItems.forEach(otherItem => {
-      if (otherItem !== item) {
-        otherItem.classList.remove('active');
-      }
+    Object.entries(this.model.factors).forEach(([id, factor]) => {
+      const value = values[id] ?? factor.value;
+      weighted += factor.weight * this.rate(factor, value);
+      totalWeight += factor.weight;
     });
     
-    // Toggle current item
-    item.classList.toggle('active', !isActive);
-    
-    // Smooth scroll to item if opening
-    if (!isActive) {
-      setTimeout(() => {
-        item.scrollIntoView({
-          behavior: 'smooth',
-          block: 'nearest'
-        });
-      }, 100);
-    }
+    const score = Math.round(min + (max - min) * (totalWeight ? weighted / totalWeight : 0));
+    return {
+      score,
+      low: Math.max(min, score - this.model.spread),
+      high: Math.min(max, score + this.model.spread)
+    };
   }
-}
-
-// ===================================
-// FLOATING ACTION BUTTON
-// ===================================
-
-class FloatingActionButton {
-  constructor() {
-    this.fab = document.getElementById('floatingBtn');
-    this.fabMain = this.fab?.querySelector('.fab-main');
-    this.fabMenu = this.fab?.querySelector('.fab-menu');
-    this.isOpen = false;
-    this.scrollThreshold = 300;
-    
-    this.init();
+  
+  toggle() {
+    if (this.isActive) {
+      this.close();
+    } else {
+      this.open();
+    }
   }
   
-  init() {
-    if (!this.fab) return;
-    
-    // Toggle menu on click
-    if (this.fabMain) {
-      this.fabMain.addEventListener('click', () => this.toggleMenu());
+  open() {
+    if (!this.panel.querySelector('.simulator-factors')) {
+      this.render();
     }
     
-    // Close menu when clicking outside
-    document.addEventListener('click', (e) => this.handleOutsideClick(e));
+    this.animation?.stop();
+    this.isActive = true;
+    this.displayedScore = parseInt(this.scoreElement.textContent, 10) || this.model.range[0];
+    this.originalScore = this.scoreElement.textContent;
+    this.originalStatus = this.statusElement?.dataset.i18n;
     
-    // Show/hide FAB based on scroll position
-    window.addEventListener('scroll', throttle(() => this.handleScroll(), 100));
+    this.card.classList.add('simulator-mode');
+    this.panel.hidden = false;
+    this.rangeElement.hidden = false;
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+    window.i18n.localize(this.toggleButton, 'simulator.close');
+    if (this.statusElement) window.i18n.localize(this.statusElement, 'simulator.estimate');
     
-    this.handleScroll(); // Initial call
+    this.update();
   }
   
-  toggleMenu() {
-    this.isOpen = !this.isOpen;
-    this.fab.classList.toggle('active', this.isOpen);
+  close() {
+    if (this.cancelTween) this.cancelTween();
+    this.isActive = false;
     
-    // Rotate main button
-    if (this.fabMain) {
-      this.fabMain.style.transform = this.isOpen ? 'rotate(45deg)' : 'rotate(0deg)';
+    this.card.classList.remove('simulator-mode');
+    this.panel.hidden = true;
+    this.rangeElement.hidden = true;
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    window.i18n.localize(this.toggleButton, 'simulator.open');
+    if (this.statusElement) window.i18n.localize(this.statusElement, this.originalStatus);
+    
+    if (this.animation) {
+      this.animation.resume();
+    } else {
+      this.scoreElement.textContent = this.originalScore;
     }
   }
   
-  closeMenu() {
-    this.isOpen = false;
-    this.fab.classList.remove('active');
-    if (this.fabMain) {
-      this.fabMain.style.transform = 'rotate(0deg)';
-    }
+  render() {
+    const factors = document.createElement('div');
+    factors.className = 'simulator-factors';
+    
+    Object.entries(this.model.factors).forEach(([id, factor]) => {
+      const inputId = `simulator-${id}`;
+      const row = document.createElement('div');
+      row.className = 'simulator-factor';
+      row.dataset.factor = id;
+      row.innerHTML = `
+        <div class="breakdown-item">
+          <label class="item-label" for="${inputId}" data-i18n="${escapeHTML(factor.label)}">${escapeHTML(t(factor.label))}</label>
+          <div class="progress-bar">
+            <div class="progress-fill"></div>
+          </div>
+          <output class="item-score" for="${inputId}"></output>
+        </div>
+        <input type="range" id="${inputId}" min="${factor.min}" max="${factor.max}" step="${factor.step}" value="${this.values[id]}">
+      `;
+      
+      row.querySelector('input').addEventListener('input', (e) => {
+        this.values[id] = parseFloat(e.target.value);
+        this.update();
+      });
+      
+      factors.appendChild(row);
+    });
+    
+    const summary = document.createElement('p');
+    summary.className = 'sr-only';
+    summary.setAttribute('aria-live', 'polite');
+    
+    const disclaimer = document.createElement('p');
+    disclaimer.className = 'simulator-disclaimer';
+    window.i18n.localize(disclaimer, 'simulator.disclaimer');
+    
+    this.panel.append(factors, summary, disclaimer);
+    this.summaryElement = summary;
+    this.announce = debounce((text) => {
+      this.summaryElement.textContent = text;
+    }, 500);
   }
   
-  handleOutsideClick(e) {
-    if (this.isOpen && !e.target.closest('.floating-action-btn')) {
-      this.closeMenu();
-    }
+  update() {
+    const { score, low, high } = this.estimate();
+    
+    Object.entries(this.model.factors).forEach(([id, factor]) => {
+      const row = this.panel.querySelector(`[data-factor="${id}"]`);
+      if (!row) return;
+      
+      const value = this.values[id];
+      const text = t(factor.format, { count: value });
+      row.querySelector('.progress-fill').style.width = `${Math.round(this.rate(factor, value) * 100)}%`;
+      row.querySelector('.item-score').textContent = text;
+      row.querySelector('input').setAttribute('aria-valuetext', text);
+    });
+    
+    this.rangeElement.textContent = t('simulator.range', { low, high });
+    this.animateTo(score);
+    this.announce(t('simulator.announce', { low, high }));
   }
   
-  handleScroll() {
-    const currentScrollY = window.scrollY;
+  animateTo(score) {
+    if (this.cancelTween) this.cancelTween();
     
-    if (currentScrollY > this.scrollThreshold) {
-      this.fab.style.opacity = '1';
-      this.fab.style.visibility = 'visible';
-      this.fab.style.transform = 'scale(1)';
-    } else {
-      this.fab.style.opacity = '0';
-      this.fab.style.visibility = 'hidden';
-      this.fab.style.transform = 'scale(0.8)';
-      this.closeMenu();
+    const from = this.displayedScore;
+    const paint = (value) => {
+      this.displayedScore = value;
+      this.scoreElement.textContent = Math.round(value);
+      this.animation?.setGauge(value);
+    };
+    
+    if (!this.animation) {
+      paint(score);
+      return;
     }
+    
+    this.cancelTween = this.animation.tween(from, score, 400, paint);
   }
 }
 
 // ===================================
-// FORM HANDLING
+// GLOBAL FUNCTIONS
 // ===================================
 
-class FormHandler {
-  constructor() {
-    this.form = document.getElementById('creditAnalysisForm');
-    this.submitButton = this.form?.querySelector('.form-submit-btn');
-    this.originalButtonText = this.submitButton?.innerHTML;
+/**
+ * Global function to scroll to section (called from HTML)
+ */
+window.scrollToSection = scrollToSection;
+
+/**
+ * Global function to open WhatsApp modal
+ */
+window.openWhatsAppChat = function() {
+  const chat = window.whatsappChat;
+  if (chat) {
+    chat.open();
+    return;
+  }
+  
+  // Direct WhatsApp link
+  if (window.siteConfig) {
+    window.open(window.siteConfig.getWhatsAppUrl(), '_blank');
+  }
+};
+
+/**
+ * Global function to close modal
+ */
+window.closeModal = function(modalId) {
+  window.modalManager?.close(modalId);
+};
+
+/**
+ * Global function to toggle FAB
+ */
+window.toggleFAB = function() {
+  const fab = window.floatingActionButton;
+  if (fab) {
+    fab.toggleMenu();
+  }
+};
+
+// ===================================
+// PERFORMANCE MONITORING
+// ===================================
+
+/**
+ * Good / needs-improvement limits for each Core Web Vital (ms, CLS unitless)
+ */
+const WEB_VITALS_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+/**
+ * Core Web Vitals from PerformanceObserver: LCP, CLS, INP, FCP and TTFB.
+ * LCP settles on the first input or when the page is hidden; CLS and INP keep
+ * updating, so every metric is reported (as value plus delta since the last
+ * report) each time the page is hidden. A bfcache restore starts a fresh set.
+ * Reports go to siteConfig.performance.endpoint with analytics consent.
+ * Add ?webVitals=debug to the URL to watch the metrics on the page.
+ */
+class PerformanceMonitor {
+  static isDebugEnabled() {
+    return new URLSearchParams(window.location.search).get('webVitals') === 'debug';
+  }
+  
+  constructor(options = window.siteConfig?.get('performance') || {}) {
+    this.endpoint = options.endpoint || null;
+    this.sampled = Math.random() < (options.sampleRate ?? 1);
+    this.panel = PerformanceMonitor.isDebugEnabled() ? this.createPanel() : null;
+    this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
     
     this.init();
   }
   
   init() {
-    if (!this.form) return;
+    const navigation = performance.getEntriesByType?.('navigation')[0];
+    this.activationStart = navigation?.activationStart || 0;
+    this.reset(navigation?.type?.replace(/_/g, '-') || 'navigate');
     
-    // Form submission
-    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.measureTTFB(navigation);
+    this.observe('paint', entries => this.handlePaint(entries));
+    this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+    this.observe('layout-shift', entries => entries.forEach(entry => this.handleLayoutShift(entry)));
+    this.observe('event', entries => entries.forEach(entry => this.handleInteraction(entry)), { durationThreshold: 40 });
+    this.observe('first-input', entries => entries.forEach(entry => this.handleInteraction(entry)));
     
-    // Real-time validation
-    this.setupValidation();
+    // LCP can't change once the visitor interacts
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, () => this.settle('LCP'), { capture: true });
+    });
     
-    // Phone number formatting
-    this.setupPhoneFormatting();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+        this.settle('LCP');
+        this.flush();
+      }
+    });
+    window.addEventListener('pagehide', () => this.flush());
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) this.restoreFromCache(e);
+    });
   }
   
-  setupValidation() {
-    const inputs = this.form.querySelectorAll('input[required], select[required], textarea[required]');
-    
-    inputs.forEach(input => {
-      input.addEventListener('blur', () => this.validateField(input));
-      input.addEventListener('input', () => this.clearFieldError(input));
-    });
+  reset(navigationType) {
+    this.pageId = generateId();
+    this.navigationType = navigationType;
+    this.metrics = {};
+    this.shiftSession = { value: 0, entries: [] };
+    this.maxShiftValue = 0;
+    this.interactions = new Map();
+    this.interactionCount = 0;
+    this.render();
   }
   
-  setupPhoneFormatting() {
-    const phoneInput = this.form.querySelector('input[name="phone"]');
-    if (phoneInput) {
-      phoneInput.addEventListener('input', (e) => {
-        e.target.value = formatPhoneNumber(e.target.value);
-      });
+  observe(type, callback, options = {}) {
+    if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) return;
+    
+    try {
+      new PerformanceObserver(list => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+    } catch (error) {
+      console.warn(`Could not observe ${type} entries:`, error);
     }
   }
   
-  validateField(field) {
-    const value = field.value.trim();
-    let isValid = true;
-    let errorMessage = '';
+  measureTTFB(navigation) {
+    if (!navigation || navigation.responseStart <= 0) return;
     
-    // Remove existing error
-    this.clearFieldError(field);
+    this.update('TTFB', Math.max(navigation.responseStart - this.activationStart, 0), {
+      dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connection: Math.round(navigation.connectEnd - navigation.connectStart),
+      request: Math.round(navigation.responseStart - navigation.requestStart)
+    }, true);
+  }
+  
+  handlePaint(entries) {
+    const entry = entries.find(paint => paint.name === 'first-contentful-paint');
     
-    // Required field validation
-    if (field.hasAttribute('required') && !value) {
-      isValid = false;
-      errorMessage = 'This field is required';
+    // A paint after the page was hidden says nothing about the visitor's experience
+    if (entry && entry.startTime < this.firstHiddenTime) {
+      this.update('FCP', Math.max(entry.startTime - this.activationStart, 0), {}, true);
     }
+  }
+  
+  handleLCP(entries) {
+    if (this.metrics.LCP?.final) return;
     
-    // Email validation
-    if (field.type === 'email' && value && !isValidEmail(value)) {
-      isValid = false;
-      errorMessage = 'Please enter a valid email address';
-    }
+    const entry = entries.filter(candidate => candidate.startTime < this.firstHiddenTime).pop();
+    if (!entry) return;
     
-    // Phone validation
-    if (field.name === 'phone' && value) {
-      const phoneRegex = /^\(\d{3}\) \d{3}-\d{4}$/;
-      if (!phoneRegex.test(value)) {
-        isValid = false;
-        errorMessage = 'Please enter a valid phone number';
-      }
-    }
+    this.update('LCP', Math.max(entry.startTime - this.activationStart, 0), {
+      element: this.describeElement(entry.element),
+      url: entry.url || undefined,
+      size: entry.size
+    });
+  }
+  
+  /**
+   * CLS is the largest burst of shifts: shifts less than 1s apart, within 5s
+   */
+  handleLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+    
+    const session = this.shiftSession;
+    const first = session.entries[0];
+    const last = session.entries[session.entries.length - 1];
     
-    if (!isValid) {
-      this.showFieldError(field, errorMessage);
+    if (first && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+      session.value = 0;
+      session.entries = [];
     }
+    session.value += entry.value;
+    session.entries.push(entry);
     
-    return isValid;
+    if (session.value > this.maxShiftValue) {
+      const largest = session.entries.reduce((max, shift) => (shift.value > max.value ? shift : max));
+      this.maxShiftValue = session.value;
+      this.update('CLS', session.value, {
+        element: this.describeElement(largest.sources?.find(source => source.node)?.node),
+        time: Math.round(largest.startTime)
+      });
+    }
   }
   
-  showFieldError(field, message) {
-    field.classList.add('error');
+  /**
+   * INP is close to the slowest interaction: one outlier is ignored for
+   * every 50 interactions on the page
+   */
+  handleInteraction(entry) {
+    if (!entry.interactionId) return;
     
-    // Create error message element
-    const errorElement = document.createElement('div');
-    errorElement.className = 'field-error';
-    errorElement.textContent = message;
+    const existing = this.interactions.get(entry.interactionId);
+    if (!existing) this.interactionCount++;
+    if (existing && existing.duration >= entry.duration) return;
     
-    // Insert error message
-    field.parentNode.appendChild(errorElement);
+    this.interactions.set(entry.interactionId, {
+      duration: entry.duration,
+      type: entry.name,
+      target: this.describeElement(entry.target),
+      time: Math.round(entry.startTime)
+    });
+    
+    const slowest = [...this.interactions.entries()].sort(([, a], [, b]) => b.duration - a.duration);
+    // Only the slowest few can ever count
+    slowest.slice(10).forEach(([id]) => this.interactions.delete(id));
+    
+    const count = performance.interactionCount || this.interactionCount;
+    const [, worst] = slowest[Math.min(slowest.length - 1, Math.floor(count / 50))];
+    this.update('INP', worst.duration, { type: worst.type, target: worst.target, time: worst.time });
   }
   
-  clearFieldError(field) {
-    field.classList.remove('error');
-    const errorElement = field.parentNode.querySelector('.field-error');
-    if (errorElement) {
-      errorElement.remove();
-    }
+  /**
+   * After a back/forward cache restore nothing is re-fetched or re-parsed;
+   * the restored frame stands in for FCP and LCP
+   */
+  restoreFromCache(event) {
+    this.reset('back-forward-cache');
+    this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+    this.update('TTFB', 0, {}, true);
+    
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      const value = Math.max(performance.now() - event.timeStamp, 0);
+      this.update('FCP', value, {}, true);
+      this.update('LCP', value, {}, true);
+    }));
   }
   
-  validateForm() {
-    const requiredFields = this.form.querySelectorAll('input[required], select[required], textarea[required]');
-    let isValid = true;
+  describeElement(element) {
+    if (!element?.tagName) return undefined;
     
-    requiredFields.forEach(field => {
-      if (!this.validateField(field)) {
-        isValid = false;
-      }
-    });
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    
+    const classes = Array.from(element.classList).slice(0, 2);
+    if (classes.length) description += `.${classes.join('.')}`;
     
-    return isValid;
+    return description;
   }
   
-  async handleSubmit(e) {
-    e.preventDefault();
-    
-    // Validate form
-    if (!this.validateForm()) {
-      this.showNotification('Please fix the errors above', 'error');
-      return;
-    }
-    
-    // Show loading state
-    this.setLoadingState(true);
+  static getRating(name, value) {
+    const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+  
+  update(name, value, attribution = {}, final = false) {
+    const previous = this.metrics[name];
     
-    try {
-      // Collect form data
-      const formData = new FormData(this.form);
-      const data = Object.fromEntries(formData.entries());
-      
-      // Collect checkbox values
-      const checkboxes = this.form.querySelectorAll('input[type="checkbox"]:checked');
-      const creditIssues = Array.from(checkboxes).map(cb => cb.value);
-      data.creditIssues = creditIssues;
-      
-      // Simulate API call (replace with actual endpoint)
-      await this.submitToAPI(data);
-      
-      // Show success
-      this.showSuccessModal();
-      this.form.reset();
-      
-    } catch (error) {
-      console.error('Form submission error:', error);
-      this.showNotification('Something went wrong. Please try again.', 'error');
-    } finally {
-      this.setLoadingState(false);
+    this.metrics[name] = {
+      name,
+      id: `${name}-${this.pageId}`,
+      value,
+      rating: PerformanceMonitor.getRating(name, value),
+      attribution,
+      final,
+      reportedValue: previous?.reportedValue ?? null
+    };
+    this.render();
+  }
+  
+  settle(name) {
+    if (this.metrics[name]) {
+      this.metrics[name].final = true;
     }
   }
   
-  async submitToAPI(data) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  getContext() {
+    const connection = navigator.connection;
     
-    // Here you would normally send to your actual API
-    console.log('Form data:', data);
-    
-    // For demo purposes, we'll just log the data
-    // In production, replace with:
-    // const response = await fetch('/api/submit-form', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(data)
-    // });
-    // return response.json();
+    return {
+      page: window.location.pathname,
+      navigationType: this.navigationType,
+      deviceType: window.matchMedia?.('(pointer: coarse)').matches ? 'mobile' : 'desktop',
+      deviceMemory: navigator.deviceMemory,
+      cpuCores: navigator.hardwareConcurrency,
+      viewport: `${window.innerWidth}x${window.innerHeight}`,
+      connection: connection ? {
+        effectiveType: connection.effectiveType,
+        rtt: connection.rtt,
+        downlink: connection.downlink,
+        saveData: connection.saveData
+      } : undefined
+    };
   }
   
-  setLoadingState(isLoading) {
-    if (!this.submitButton) return;
+  /**
+   * Send every metric that changed since it was last reported
+   */
+  flush() {
+    const changed = Object.values(this.metrics).filter(metric => metric.value !== metric.reportedValue);
+    if (!changed.length) return;
     
-    if (isLoading) {
-      this.submitButton.disabled = true;
-      this.submitButton.innerHTML = `
-        <svg class="animate-spin" width="20" height="20" viewBox="0 0 24 24" fill="none">
-          <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4" stroke-opacity="0.3"/>
-          <path fill="currentColor" d="M12 2v4a8 8 0 0 1 0 16v4c6.627 0 12-5.373 12-12S18.627 2 12 2z"/>
-        </svg>
-        <span>Processing...</span>
-      `;
-    } else {
-      this.submitButton.disabled = false;
-      this.submitButton.innerHTML = this.originalButtonText;
+    const metrics = changed.map(metric => {
+      const delta = metric.value - (metric.reportedValue ?? 0);
+      metric.reportedValue = metric.value;
+      return {
+        name: metric.name,
+        id: metric.id,
+        value: Math.round(metric.value * 1000) / 1000,
+        delta: Math.round(delta * 1000) / 1000,
+        rating: metric.rating,
+        attribution: metric.attribution
+      };
+    });
+    
+    const allowed = !window.cookieConsent || window.cookieConsent.has('analytics');
+    if (this.endpoint && this.sampled && allowed) {
+      sendBeaconJSON(this.endpoint, { sentAt: new Date().toISOString(), context: this.getContext(), metrics });
     }
   }
   
-  showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-      <div class="notification-content">
-        <span>${message}</span>
-        <button class="notification-close">&times;</button>
-      </div>
+  createPanel() {
+    const panel = document.createElement('aside');
+    panel.className = 'analytics-debug vitals-panel';
+    panel.setAttribute('aria-label', 'Core Web Vitals');
+    panel.innerHTML = `
+      <div class="analytics-debug-header"><strong>Core Web Vitals</strong></div>
+      <table class="vitals-table"><tbody></tbody></table>
     `;
-    
-    // Add to page
-    document.body.appendChild(notification);
-    
-    // Show notification
-    setTimeout(() => notification.classList.add('show'), 100);
-    
-    // Auto remove
-    setTimeout(() => this.removeNotification(notification), 5000);
-    
-    // Close button
-    notification.querySelector('.notification-close').addEventListener('click', () => {
-      this.removeNotification(notification);
-    });
+    document.body.appendChild(panel);
+    return panel;
   }
   
-  removeNotification(notification) {
-    notification.classList.remove('show');
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
-    }, 300);
+  formatValue(name, value) {
+    return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}ms`;
   }
   
-  showSuccessModal() {
-    const modal = document.getElementById('successModal');
-    if (modal) {
-      modal.classList.add('active');
-    }
+  render() {
+    if (!this.panel) return;
+    
+    this.panel.querySelector('tbody').innerHTML = Object.keys(WEB_VITALS_THRESHOLDS).map(name => {
+      const metric = this.metrics[name];
+      const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+      const detail = Object.entries(metric?.attribution || {})
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(', ');
+      
+      return `
+        <tr class="vitals-${metric?.rating || 'pending'}">
+          <th scope="row">${name}</th>
+          <td>${metric ? this.formatValue(name, metric.value) : '…'}</td>
+          <td>good ≤ ${this.formatValue(name, good)}, poor > ${this.formatValue(name, poor)}${detail ? `<br>${escapeHTML(detail)}` : ''}</td>
+        </tr>
+      `;
+    }).join('');
   }
 }
 
 // ===================================
-// MODAL MANAGEMENT
+// LOCAL API STAND-IN
 // ===================================
 
-class ModalManager {
+/**
+ * In-browser stand-in for the backend so the lead pipeline can be exercised
+ * without a live server. Enable it with ?mockApi=<scenario> on localhost, or
+ * by opening the page from the file system; on any other host the parameter
+ * is ignored so a shared link can't divert real leads. Scenarios:
+ *   ok      - every request succeeds (default)
+ *   flaky   - the first two requests fail with 503, then succeed
+ *   down    - every request fails with 503
+ *   invalid - leads are rejected with field-level errors
+ */
+class LocalMockServer {
+  static isEnabled() {
+    const param = new URLSearchParams(window.location.search).get('mockApi');
+    if (window.location.protocol === 'file:') return param !== 'off';
+    return LocalMockServer.isLocalHost() && LocalMockServer.SCENARIOS.includes(param);
+  }
+  
+  static isLocalHost() {
+    const { hostname } = window.location;
+    return ['localhost', '127.0.0.1', '[::1]'].includes(hostname) || hostname.endsWith('.localhost');
+  }
+  
   constructor() {
-    this.modals = document.querySelectorAll('.modal');
+    const param = new URLSearchParams(window.location.search).get('mockApi');
+    this.scenario = LocalMockServer.SCENARIOS.includes(param) ? param : 'ok';
+    this.latency = 600;
+    this.pendingFailures = this.scenario === 'flaky' ? 2 : 0;
+    this.routes = [];
+    this.originalFetch = window.fetch.bind(window);
+    this.originalSendBeacon = typeof navigator.sendBeacon === 'function' ? navigator.sendBeacon.bind(navigator) : null;
+    
     this.init();
   }
   
   init() {
-    // Close buttons
-    document.querySelectorAll('.modal-close').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const modal = e.target.closest('.modal');
-        this.closeModal(modal);
-      });
-    });
+    window.fetch = (input, init) => this.handleFetch(input, init);
+    navigator.sendBeacon = (url, data) => this.handleBeacon(url, data);
     
-    // Overlay clicks
-    document.querySelectorAll('.modal-overlay').forEach(overlay => {
-      overlay.addEventListener('click', (e) => {
-        const modal = e.target.closest('.modal');
-        this.closeModal(modal);
-      });
-    });
+    this.route('POST', '/api/leads', (request) => this.handleLeadSubmission(request));
+    this.route('GET', '/api/leads', (request) => this.handleLeadList(request));
+    this.route('GET', '/api/consultations', (request) => this.handleConsultationAvailability(request));
+    this.route('POST', '/api/consultations', (request) => this.handleConsultationBooking(request));
+    this.route('GET', '/api/email-domains/check', (request) => this.handleEmailDomainCheck(request));
+    this.route('POST', '/api/events', (request) => this.handleEventBatch(request));
+    this.route('GET', '/api/events', (request) => this.handleEventList(request));
+    this.route('POST', '/api/errors', (request) => this.handleErrorReport(request));
+    this.route('POST', '/api/vitals', (request) => this.handleVitalsReport(request));
+    this.route('GET', '/api/vitals', () => ({ status: 200, body: getStoredItem(LocalMockServer.VITALS_KEY, []) }));
+    this.route('GET', '/api/errors', () => ({ status: 200, body: getStoredItem(LocalMockServer.ERRORS_KEY, []) }));
+  }
+  
+  /**
+   * Register a handler. It receives { url, method, headers, body } and
+   * returns { status, body, headers } (or a promise of it).
+   */
+  route(method, path, handler) {
+    this.routes.push({ method: method.toUpperCase(), path, handler });
+  }
+  
+  findRoute(method, url) {
+    const { pathname } = new URL(url, window.location.href);
+    return this.routes.find(route => route.method === method && route.path === pathname);
+  }
+  
+  async handleFetch(input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    const method = (init.method || input.method || 'GET').toUpperCase();
+    const route = this.findRoute(method, url);
     
-    // Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        const activeModal = document.querySelector('.modal.active');
-        if (activeModal) {
-          this.closeModal(activeModal);
-        }
-      }
+    if (!route) {
+      return this.originalFetch(input, init);
+    }
+    
+    await this.simulateLatency(init.signal);
+    
+    const request = {
+      url,
+      method,
+      headers: new Headers(init.headers),
+      body: this.parseBody(init.body)
+    };
+    const { status = 200, body = null, headers = {} } = await route.handler(request);
+    
+    return new Response(body === null ? null : JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...headers }
     });
   }
   
-  openModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-      modal.classList.add('active');
-      document.body.style.overflow = 'hidden';
+  /**
+   * Beacons are fire-and-forget: accept the ones we route and handle them later
+   */
+  handleBeacon(url, data) {
+    const route = this.findRoute('POST', url);
+    
+    if (!route) {
+      return this.originalSendBeacon ? this.originalSendBeacon(url, data) : false;
+    }
+    
+    const read = typeof data?.text === 'function' ? data.text() : Promise.resolve(data ?? null);
+    read.then(body => route.handler({
+      url,
+      method: 'POST',
+      headers: new Headers(),
+      body: this.parseBody(body)
+    }));
+    
+    return true;
+  }
+  
+  simulateLatency(signal) {
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      }, this.latency);
       
-      // Focus management
-      const firstFocusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-      if (firstFocusable) {
-        firstFocusable.focus();
+      if (signal?.aborted) {
+        abort();
+      } else {
+        signal?.addEventListener('abort', abort, { once: true });
       }
+    });
+  }
+  
+  parseBody(body) {
+    if (typeof body !== 'string') return body ?? null;
+    
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
     }
   }
   
-  closeModal(modal) {
-    if (modal) {
-      modal.classList.remove('active');
-      document.body.style.overflow = '';
+  handleLeadSubmission(request) {
+    const leads = getStoredItem(LocalMockServer.LEADS_KEY, []);
+    const idempotencyKey = request.headers.get('Idempotency-Key');
+    const existing = idempotencyKey && leads.find(lead => lead.idempotencyKey === idempotencyKey);
+    
+    if (existing) {
+      return { status: 200, body: { id: existing.id, status: 'duplicate' } };
+    }
+    
+    if (this.scenario === 'down' || this.pendingFailures > 0) {
+      this.pendingFailures = Math.max(0, this.pendingFailures - 1);
+      return {
+        status: 503,
+        body: { message: 'Service temporarily unavailable' },
+        headers: { 'Retry-After': '1' }
+      };
+    }
+    
+    const errors = this.validateLead(request.body || {});
+    if (Object.keys(errors).length) {
+      return { status: 422, body: { message: 'Some fields need attention', errors } };
     }
+    
+    const lead = {
+      id: generateId(),
+      idempotencyKey,
+      receivedAt: new Date().toISOString(),
+      ...request.body
+    };
+    
+    // Keep only the most recent leads around for inspection
+    setStoredItem(LocalMockServer.LEADS_KEY, [...leads, lead].slice(-20));
+    
+    return { status: 201, body: { id: lead.id, status: 'received' } };
   }
-}
-
-// ===================================
-// SCROLL ANIMATIONS
-// ===================================
-
-class ScrollAnimations {
-  constructor() {
-    this.elements = document.querySelectorAll('[data-animate]');
-    this.observer = null;
+  
+  /**
+   * Stored leads, optionally filtered by ?queue= and ?priority=
+   */
+  handleLeadList(request) {
+    const params = new URL(request.url, window.location.href).searchParams;
+    const queue = params.get('queue');
+    const priority = params.get('priority');
     
-    this.init();
+    const leads = getStoredItem(LocalMockServer.LEADS_KEY, []).filter(lead =>
+      (!queue || lead.leadScore?.queue.id === queue) &&
+      (!priority || lead.leadScore?.priority.id === priority)
+    );
+    
+    return { status: 200, body: leads };
   }
   
-  init() {
-    if (!window.IntersectionObserver) {
-      // Fallback for older browsers
-      this.elements.forEach(el => el.classList.add('animated'));
-      return;
+  /**
+   * Start times already booked between ?from= and ?to=
+   */
+  handleConsultationAvailability(request) {
+    const params = new URL(request.url, window.location.href).searchParams;
+    const from = Date.parse(params.get('from')) || 0;
+    const to = Date.parse(params.get('to')) || Infinity;
+    
+    const taken = getStoredItem(LocalMockServer.CONSULTATIONS_KEY, [])
+      .map(booking => booking.start)
+      .filter(start => Date.parse(start) >= from && Date.parse(start) < to);
+    
+    return { status: 200, body: { taken } };
+  }
+  
+  handleConsultationBooking(request) {
+    const { leadId, start, end, timeZone } = request.body || {};
+    const leads = getStoredItem(LocalMockServer.LEADS_KEY, []);
+    const lead = leads.find(entry => entry.id === leadId);
+    
+    if (!lead || !Date.parse(start) || !Date.parse(end)) {
+      return { status: 422, body: { message: 'A valid lead and time slot are required' } };
     }
     
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.animateElement(entry.target);
-          this.observer.unobserve(entry.target);
-        }
-      });
-    }, {
-      threshold: 0.1,
-      rootMargin: '0px 0px -50px 0px'
-    });
+    const bookings = getStoredItem(LocalMockServer.CONSULTATIONS_KEY, []);
+    if (bookings.some(booking => Date.parse(booking.start) === Date.parse(start))) {
+      return { status: 409, body: { message: 'That time is no longer available' } };
+    }
     
-    this.elements.forEach(el => {
-      el.classList.add('animate-on-scroll');
-      this.observer.observe(el);
-    });
+    const booking = { id: generateId(), leadId, start, end, timeZone, bookedAt: new Date().toISOString() };
+    lead.consultation = { id: booking.id, start, end, timeZone };
+    
+    setStoredItem(LocalMockServer.CONSULTATIONS_KEY, [...bookings, booking].slice(-50));
+    setStoredItem(LocalMockServer.LEADS_KEY, leads);
+    
+    return { status: 201, body: booking };
   }
   
-  animateElement(element) {
-    const animationType = element.dataset.animate;
-    const delay = parseInt(element.dataset.delay) || 0;
+  /**
+   * Collector for analytics batches
+   */
+  handleEventBatch(request) {
+    const events = request.body?.events;
     
-    setTimeout(() => {
-      element.classList.add('animated');
-      
-      // Add specific animation class if specified
-      if (animationType) {
-        element.classList.add(`animate-${animationType}`);
-      }
-    }, delay);
+    if (!Array.isArray(events)) {
+      return { status: 400, body: { message: 'Expected { events: [...] }' } };
+    }
+    
+    const stored = getStoredItem(LocalMockServer.EVENTS_KEY, []);
+    setStoredItem(LocalMockServer.EVENTS_KEY, [...stored, ...events].slice(-200));
+    
+    return { status: 202, body: { accepted: events.length } };
   }
-}
-
-// ===================================
-// SMOOTH SCROLLING
-// ===================================
-
-class SmoothScrolling {
-  constructor() {
-    this.init();
+  
+  /**
+   * Collected analytics events, optionally filtered by ?name=
+   */
+  handleEventList(request) {
+    const name = new URL(request.url, window.location.href).searchParams.get('name');
+    const events = getStoredItem(LocalMockServer.EVENTS_KEY, []).filter(event => !name || event.name === name);
+    
+    return { status: 200, body: events };
   }
   
-  init() {
-    // Handle all anchor links
-    document.querySelectorAll('a[href^="#"]').forEach(link => {
-      link.addEventListener('click', (e) => this.handleClick(e));
-    });
+  handleErrorReport(request) {
+    const report = request.body;
+    
+    if (!report?.message) {
+      return { status: 400, body: { message: 'Expected an error report' } };
+    }
+    
+    setStoredItem(LocalMockServer.ERRORS_KEY, [...getStoredItem(LocalMockServer.ERRORS_KEY, []), report].slice(-50));
+    
+    return { status: 202, body: { accepted: true } };
   }
   
-  handleClick(e) {
-    const href = e.currentTarget.getAttribute('href');
-    const targetId = href.slice(1);
+  handleVitalsReport(request) {
+    const { context, metrics } = request.body || {};
+    
+    if (!Array.isArray(metrics)) {
+      return { status: 400, body: { message: 'Expected { context, metrics: [...] }' } };
+    }
+    
+    const reports = metrics.map(metric => ({ ...metric, context }));
+    setStoredItem(LocalMockServer.VITALS_KEY, [...getStoredItem(LocalMockServer.VITALS_KEY, []), ...reports].slice(-100));
+    
+    return { status: 202, body: { accepted: metrics.length } };
+  }
+  
+  handleEmailDomainCheck(request) {
+    const domain = new URL(request.url, window.location.href).searchParams.get('domain') || '';
+    return { status: 200, body: { domain, disposable: LocalMockServer.DISPOSABLE_DOMAINS.includes(domain) } };
+  }
+  
+  validateLead(lead) {
+    const errors = {};
+    
+    ['firstName', 'lastName', 'email', 'phone'].forEach(name => {
+      if (!lead[name] || !String(lead[name]).trim()) {
+        errors[name] = 'This field is required';
+      }
+    });
+    
+    if (lead.email && !isValidEmail(lead.email)) {
+      errors.email = 'Please enter a valid email address';
+    }
+    
+    // Every required consent must be granted and backed by the disclosure version shown
+    const consents = lead.consent?.consents || [];
+    LocalMockServer.REQUIRED_CONSENTS.forEach(({ id, field, message }) => {
+      const consent = consents.find(entry => entry.id === id);
+      if (!consent?.granted || !consent.version) {
+        errors[field] = message;
+      }
+    });
     
-    if (targetId) {
-      e.preventDefault();
-      scrollToSection(targetId);
+    if (this.scenario === 'invalid') {
+      errors.email = 'This email address is already registered';
+      errors.phone = 'This phone number could not be verified';
     }
+    
+    return errors;
   }
 }
 
+LocalMockServer.SCENARIOS = ['ok', 'flaky', 'down', 'invalid'];
+LocalMockServer.LEADS_KEY = 'mockApi.leads';
+LocalMockServer.CONSULTATIONS_KEY = 'mockApi.consultations';
+LocalMockServer.EVENTS_KEY = 'mockApi.events';
+LocalMockServer.ERRORS_KEY = 'mockApi.errors';
+LocalMockServer.VITALS_KEY = 'mockApi.vitals';
+LocalMockServer.DISPOSABLE_DOMAINS = ['burnermail.io', 'fakeinbox.com', 'mailnesia.com'];
+LocalMockServer.REQUIRED_CONSENTS = [
+  { id: 'croa', field: 'consentCroa', message: 'Please confirm you have read your credit file rights' },
+  { id: 'tcpa', field: 'consentContact', message: 'Please agree to be contacted about your analysis' }
+];
+
 // ===================================
-// CREDIT SCORE ANIMATION
+// ERROR REPORTING
 // ===================================
 
-class CreditScoreAnimation {
+/**
+ * Client error reporting. Uncaught errors, unhandled rejections and errors
+ * handed to report() are scrubbed of personal data, deduplicated, sampled
+ * and rate-limited, then sent with recent breadcrumbs (clicks, navigation,
+ * form steps) and environment details to siteConfig.errorReporting.endpoint.
+ * Started before everything else so start-up failures are caught too.
+ */
+class ErrorHandler {
   constructor() {
-    this.scoreElement = document.querySelector('.current-score');
-    this.changeElement = document.querySelector('.score-change');
-    this.gaugeElement = document.querySelector('.gauge-fill');
+    this.breadcrumbs = [];
+    this.maxBreadcrumbs = 30;
+    this.occurrences = new Map();
+    this.sentAt = [];
+    this.sampled = null;
+    this.brokenComponents = new Set();
     
     this.init();
   }
   
   init() {
-    if (!this.scoreElement) return;
-    
-    // Animate when in viewport
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.animateScore();
-          observer.unobserve(entry.target);
-        }
-      });
+    window.addEventListener('error', (e) => this.handleError(e));
+    window.addEventListener('unhandledrejection', (e) => this.handlePromiseRejection(e));
+    this.recordBreadcrumbs();
+  }
+  
+  getOptions() {
+    return { ...ErrorHandler.DEFAULTS, ...(window.siteConfig?.get('errorReporting') || {}) };
+  }
+  
+  recordBreadcrumbs() {
+    document.addEventListener('click', (e) => {
+      const target = e.target.closest?.('a, button, [role="button"], input, select, textarea, label') || e.target;
+      this.addBreadcrumb('click', this.describeElement(target));
+    }, true);
+    document.addEventListener('submit', (e) => {
+      this.addBreadcrumb('form', `submit ${this.describeElement(e.target)}`);
+    }, true);
+    window.addEventListener('hashchange', () => {
+      this.addBreadcrumb('navigation', `to ${window.location.hash || '#'}`);
+    });
+    window.addEventListener('popstate', () => {
+      this.addBreadcrumb('navigation', `history to ${window.location.pathname}${window.location.hash}`);
     });
     
-    observer.observe(this.scoreElement);
+    this.addBreadcrumb('navigation', `load ${window.location.pathname}${window.location.hash}`);
   }
   
-  animateScore() {
-    const finalScore = 742;
-    const finalChange = 187;
-    const duration = 2000;
-    const steps = 60;
-    const stepDuration = duration / steps;
+  /**
+   * Short selector-like description. Button and link labels are kept;
+   * what was typed into fields never is.
+   */
+  describeElement(element) {
+    if (!element?.tagName) return 'unknown';
     
-    let currentStep = 0;
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
     
-    const interval = setInterval(() => {
-      currentStep++;
-      const progress = currentStep / steps;
-      const easeProgress = this.easeOutCubic(progress);
-      
-      // Animate score
-      const currentScore = Math.round(555 + (finalScore - 555) * easeProgress);
-      this.scoreElement.textContent = currentScore;
-      
-      // Animate change
-      const currentChange = Math.round(finalChange * easeProgress);
-      if (this.changeElement) {
-        this.changeElement.textContent = `+${currentChange}`;
-      }
-      
-      if (currentStep >= steps) {
-        clearInterval(interval);
-      }
-    }, stepDuration);
+    const classes = Array.from(element.classList).slice(0, 2);
+    if (classes.length) description += `.${classes.join('.')}`;
+    
+    if (['A', 'BUTTON'].includes(element.tagName)) {
+      const label = (element.getAttribute('aria-label') || element.textContent).replace(/\s+/g, ' ').trim().slice(0, 40);
+      if (label) description += ` "${label}"`;
+    } else if (element.name) {
+      description += `[name="${element.name}"]`;
+    }
+    
+    return description;
   }
   
-  easeOutCubic(t) {
-    return 1 - Math.pow(1 - t, 3);
+  addBreadcrumb(category, message) {
+    this.breadcrumbs.push({ category, message: this.scrub(message), timestamp: new Date().toISOString() });
+    if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
   }
-}
-
-// ===================================
-// GLOBAL FUNCTIONS
-// ===================================
-
-/**
- * Global function to scroll to section (called from HTML)
- */
-window.scrollToSection = scrollToSection;
-
-/**
- * Global function to open WhatsApp modal
- */
-window.openWhatsAppChat = function() {
-  // Direct WhatsApp link
-  const whatsappUrl = 'https://wa.me/12726348947?text=Hi!%20I\'m%20interested%20in%20credit%20repair%20services.%20Can%20you%20help%20me%20get%20started?';
-  window.open(whatsappUrl, '_blank');
-};
-
-/**
- * Global function to close modal
- */
-window.closeModal = function(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
-    modal.classList.remove('active');
-    document.body.style.overflow = '';
+  
+  handleError(e) {
+    // Errors from cross-origin scripts arrive without any detail
+    if (!e.error && e.message === 'Script error.') return;
+    
+    console.error('JavaScript Error:', e.error);
+    
+    this.logError({
+      type: 'error',
+      message: e.message,
+      filename: e.filename,
+      lineno: e.lineno,
+      colno: e.colno,
+      stack: e.error?.stack
+    });
   }
-};
-
-/**
- * Global function to toggle FAB
- */
-window.toggleFAB = function() {
-  const fab = window.floatingActionButton;
-  if (fab) {
-    fab.toggleMenu();
+  
+  handlePromiseRejection(e) {
+    console.error('Unhandled Promise Rejection:', e.reason);
+    
+    this.logError({
+      type: 'promise_rejection',
+      name: e.reason?.name,
+      message: e.reason?.message || String(e.reason),
+      stack: e.reason?.stack
+    });
   }
-};
-
-// ===================================
-// PERFORMANCE MONITORING
-// ===================================
-
-class PerformanceMonitor {
-  constructor() {
-    this.init();
+  
+  /**
+   * Report an error that was caught, with context such as the component
+   */
+  report(error, context = {}) {
+    return this.logError({
+      type: 'caught',
+      name: error?.name,
+      message: error?.message || String(error),
+      stack: error?.stack,
+      context
+    });
   }
   
-  init() {
-    // Log page load time
-    window.addEventListener('load', () => {
-      const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
-      console.log(`Page loaded in ${loadTime}ms`);
-    });
-    
-    // Monitor largest contentful paint
-    if ('PerformanceObserver' in window) {
-      const observer = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        console.log('LCP:', lastEntry.startTime);
-      });
-      
-      observer.observe({ entryTypes: ['largest-contentful-paint'] });
+  /**
+   * Record that a component failed to start; the rest of the page carries on
+   */
+  markBroken(name, error) {
+    this.brokenComponents.add(name);
+    this.addBreadcrumb('component', `${name} failed to start`);
+    this.report(error, { component: name, phase: 'init' });
+  }
+  
+  /**
+   * Returns true when the error was sent
+   */
+  logError(errorInfo) {
+    const options = this.getOptions();
+    const error = this.scrubError(errorInfo);
+    const fingerprint = this.getFingerprint(error);
+    const occurrences = (this.occurrences.get(fingerprint) || 0) + 1;
+    this.occurrences.set(fingerprint, occurrences);
+    
+    // Each distinct error is sent once per page view
+    if (!options.endpoint || occurrences > 1) return false;
+    if (!this.isSampled(options.sampleRate) || this.isRateLimited(options.maxPerMinute)) return false;
+    
+    sendBeaconJSON(options.endpoint, {
+      ...error,
+      fingerprint,
+      timestamp: new Date().toISOString(),
+      breadcrumbs: [...this.breadcrumbs],
+      environment: this.getEnvironment(options)
+    });
+    return true;
+  }
+  
+  /**
+   * Sampling is decided once per page view so a visit is all in or all out
+   */
+  isSampled(rate) {
+    if (this.sampled === null) {
+      this.sampled = Math.random() < rate;
     }
+    return this.sampled;
+  }
+  
+  isRateLimited(maxPerMinute) {
+    const now = Date.now();
+    this.sentAt = this.sentAt.filter(time => now - time < 60000);
+    
+    if (this.sentAt.length >= maxPerMinute) return true;
+    this.sentAt.push(now);
+    return false;
+  }
+  
+  getFingerprint(error) {
+    const firstFrame = (error.stack || '').split('\n').find(line => line.includes(':')) || '';
+    return fnv1a([error.type, error.name, error.message, firstFrame.trim(), error.context?.component].join('|')).toString(16);
+  }
+  
+  scrubError(errorInfo) {
+    const error = {};
+    
+    Object.entries(errorInfo).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      
+      if (key === 'context') {
+        error.context = Object.fromEntries(Object.entries(value).map(([name, item]) => [
+          name,
+          typeof item === 'string' ? this.scrub(item) : item
+        ]));
+      } else {
+        error[key] = typeof value === 'string' ? this.scrub(value).slice(0, ErrorHandler.MAX_TEXT) : value;
+      }
+    });
+    
+    return error;
+  }
+  
+  /**
+   * Remove emails, card and phone numbers, SSNs and query-string values
+   */
+  scrub(text) {
+    return String(text ?? '')
+      .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]')
+      .replace(/\b\d{3}-\d{2}-\d{4}\b/g, '[ssn]')
+      .replace(/\+?\(?\d[\d\s().-]{8,}\d/g, match => {
+        const digits = match.replace(/\D/g, '').length;
+        if (digits >= 13 && digits <= 19) return '[card]';
+        if (digits >= 10 && digits <= 15) return '[phone]';
+        return match;
+      })
+      .replace(/([?&][^=&#\s]+=)[^&#\s]*/g, '$1[redacted]');
+  }
+  
+  getEnvironment(options) {
+    return {
+      release: options.release,
+      url: this.scrub(`${window.location.origin}${window.location.pathname}${window.location.hash}`),
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      viewport: `${window.innerWidth}x${window.innerHeight}`,
+      online: navigator.onLine,
+      brokenComponents: [...this.brokenComponents]
+    };
   }
 }
 
+ErrorHandler.DEFAULTS = {
+  endpoint: null,
+  sampleRate: 1,
+  maxPerMinute: 10,
+  release: null
+};
+ErrorHandler.MAX_TEXT = 4000;
+
 // ===================================
 // INITIALIZATION
 // ===================================
@@ -859,6 +8568,7 @@ class PerformanceMonitor {
 class App {
   constructor() {
     this.components = {};
+    this.brokenComponents = [];
     this.init();
   }
   
@@ -872,27 +8582,56 @@ class App {
   }
   
   initializeComponents() {
+    // Shared settings first, so components read populated markup
+    window.siteConfig = this.startComponent('siteConfig', () => new SiteConfig());
+    window.cookieConsent = this.startComponent('cookieConsent', () => new CookieConsent());
+    window.experiments?.connectConsent(window.cookieConsent);
+    window.attribution = this.startComponent('attribution', () => new MarketingAttribution());
+    window.analytics = this.startComponent('analytics', () => new Analytics());
+    
+    // Initialize all components
+    this.startComponent('mobileNav', () => new MobileNavigation());
+    this.startComponent('headerEffects', () => new HeaderEffects());
+    this.startComponent('faqAccordion', () => new FAQAccordion());
+    this.startComponent('floatingActionButton', () => new FloatingActionButton());
+    this.startComponent('formHandler', () => new FormHandler());
+    this.startComponent('modalManager', () => new ModalManager());
+    this.startComponent('scrollAnimations', () => new ScrollAnimations());
+    this.startComponent('smoothScrolling', () => new SmoothScrolling());
+    this.startComponent('creditScoreAnimation', () => new CreditScoreAnimation());
+    this.startComponent('scoreSimulator', () => new ScoreSimulator(this.components.creditScoreAnimation));
+    this.startComponent('performanceMonitor', () => new PerformanceMonitor());
+    this.startComponent('whatsappChat', () => new WhatsAppChat());
+    
+    // Make some components globally accessible
+    window.modalManager = this.components.modalManager;
+    window.floatingActionButton = this.components.floatingActionButton;
+    window.whatsappChat = this.components.whatsappChat;
+    
+    this.reportStartup('All components initialized successfully');
+  }
+  
+  /**
+   * Start one component. If it throws, it is reported and marked as broken
+   * and the rest of the page starts without it.
+   */
+  startComponent(name, create) {
     try {
-      // Initialize all components
-      this.components.mobileNav = new MobileNavigation();
-      this.components.headerEffects = new HeaderEffects();
-      this.components.faqAccordion = new FAQAccordion();
-      this.components.floatingActionButton = new FloatingActionButton();
-      this.components.formHandler = new FormHandler();
-      this.components.modalManager = new ModalManager();
-      this.components.scrollAnimations = new ScrollAnimations();
-      this.components.smoothScrolling = new SmoothScrolling();
-      this.components.creditScoreAnimation = new CreditScoreAnimation();
-      this.components.performanceMonitor = new PerformanceMonitor();
-      
-      // Make some components globally accessible
-      window.modalManager = this.components.modalManager;
-      window.floatingActionButton = this.components.floatingActionButton;
-      
-      console.log('All components initialized successfully');
-      
+      this.components[name] = create();
+      return this.components[name];
     } catch (error) {
-      console.error('Error initializing components:', error);
+      console.error(`Error initializing ${name}:`, error);
+      this.brokenComponents.push(name);
+      window.errorHandler?.markBroken(name, error);
+      return null;
+    }
+  }
+  
+  reportStartup(message) {
+    if (this.brokenComponents.length) {
+      console.warn(`Started with broken components: ${this.brokenComponents.join(', ')}`);
+    } else {
+      console.log(message);
     }
   }
 }
@@ -935,54 +8674,6 @@ function injectDynamicStyles() {
       to { transform: rotate(360deg); }
     }
     
-    /* Notification Styles */
-    .notification {
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      z-index: 10000;
-      max-width: 400px;
-      background: white;
-      border-radius: 12px;
-      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
-      transform: translateX(100%);
-      transition: transform 0.3s ease-out;
-    }
-    
-    .notification.show {
-      transform: translateX(0);
-    }
-    
-    .notification-content {
-      padding: 16px 20px;
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      gap: 12px;
-    }
-    
-    .notification-error {
-      border-left: 4px solid #ef4444;
-    }
-    
-    .notification-success {
-      border-left: 4px solid #10b981;
-    }
-    
-    .notification-close {
-      background: none;
-      border: none;
-      font-size: 20px;
-      cursor: pointer;
-      color: #6b7280;
-      padding: 0;
-      width: 24px;
-      height: 24px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-    }
-    
     /* Mobile Menu Styles */
     @media (max-width: 1023px) {
       .nav-menu {
@@ -1043,9 +8734,29 @@ function injectDynamicStyles() {
 // START APPLICATION
 // ===================================
 
+// Report errors from here on, including start-up failures
+window.errorHandler = new ErrorHandler();
+
 // Inject dynamic styles
 injectDynamicStyles();
 
+// Route API calls to the in-browser stand-in during local testing
+if (LocalMockServer.isEnabled()) {
+  window.mockServer = new LocalMockServer();
+}
+
+// Translate the page before anything renders text of its own
+window.i18n = new Translator();
+
+// Toasts for every component
+window.notifications = new NotificationCenter();
+
+// Shared by the mobile menu and dialogs so neither unlocks the other's scroll
+window.scrollLock = new ScrollLock();
+
+// Apply A/B test variants before the first paint
+window.experiments = new ExperimentManager();
+
 // Initialize application
 const app = new App();
 
@@ -1072,7 +8783,8 @@ class PricingInteractions {
   }
   
   handlePricingClick(card) {
-    const planName = card.querySelector('h3')?.textContent || 'Selected Plan';
+    const planName = card.querySelector('h3')?.textContent || t('pricing.defaultPlan');
+    document.dispatchEvent(new CustomEvent('plan:selected', { detail: { plan: planName } }));
     
     // Scroll to contact form
     scrollToSection('contact');
@@ -1081,7 +8793,7 @@ class PricingInteractions {
     setTimeout(() => {
       const goalTextarea = document.querySelector('textarea[name="goals"]');
       if (goalTextarea && !goalTextarea.value) {
-        goalTextarea.value = `I'm interested in the ${planName} credit repair package. Please contact me with more details.`;
+        goalTextarea.value = t('pricing.prefill', { plan: planName });
       }
     }, 500);
     
@@ -1090,27 +8802,7 @@ class PricingInteractions {
   }
   
   showPlanSelection(planName) {
-    const notification = document.createElement('div');
-    notification.className = 'notification notification-success';
-    notification.innerHTML = `
-      <div class="notification-content">
-        <span>✓ ${planName} selected! Please fill out the form below.</span>
-        <button class="notification-close">&times;</button>
-      </div>
-    `;
-    
-    document.body.appendChild(notification);
-    setTimeout(() => notification.classList.add('show'), 100);
-    
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => notification.remove(), 300);
-    }, 4000);
-    
-    notification.querySelector('.notification-close').addEventListener('click', () => {
-      notification.classList.remove('show');
-      setTimeout(() => notification.remove(), 300);
-    });
+    window.notifications.success(t('pricing.selected', { plan: planName }), { duration: 4000 });
   }
 }
 
@@ -1233,7 +8925,8 @@ class ServiceCardInteractions {
   }
   
   handleServiceClick(card) {
-    const serviceName = card.querySelector('h3')?.textContent || 'Service';
+    const serviceName = card.querySelector('h3')?.textContent || t('services.defaultService');
+    document.dispatchEvent(new CustomEvent('service:selected', { detail: { service: serviceName } }));
     
     // Add click animation
     card.style.transform = 'scale(0.98)';
@@ -1249,7 +8942,7 @@ class ServiceCardInteractions {
       const goalTextarea = document.querySelector('textarea[name="goals"]');
       if (goalTextarea) {
         const currentValue = goalTextarea.value;
-        const serviceText = `I'm interested in ${serviceName}. `;
+        const serviceText = `${t('services.prefill', { service: serviceName })} `;
         if (!currentValue.includes(serviceText)) {
           goalTextarea.value = serviceText + currentValue;
         }
@@ -1331,12 +9024,22 @@ class ContactTracking {
     document.querySelectorAll('a[href^="https://wa.me/"]').forEach(link => {
       link.addEventListener('click', () => {
         this.trackEvent('whatsapp_click', {
-          phone_number: '12726348947',
+          phone_number: window.siteConfig?.getWhatsAppNumber(),
           source: 'website'
         });
       });
     });
     
+    // Track phone clicks
+    document.querySelectorAll('a[href^="tel:"]').forEach(link => {
+      link.addEventListener('click', () => {
+        this.trackEvent('phone_click', {
+          phone_number: link.getAttribute('href').replace('tel:', ''),
+          source: link.closest('[id]')?.id || 'website'
+        });
+      });
+    });
+    
     // Track email clicks
     document.querySelectorAll('a[href^="mailto:"]').forEach(link => {
       link.addEventListener('click', () => {
@@ -1355,20 +9058,24 @@ class ContactTracking {
         });
       });
     }
+    
+    // Track plan and service interest
+    document.addEventListener('plan:selected', (e) => {
+      this.trackEvent('plan_selected', { plan: e.detail.plan });
+    });
+    document.addEventListener('service:selected', (e) => {
+      this.trackEvent('service_selected', { service: e.detail.service });
+    });
+    
+    // A/B test exposures and conversions
+    window.experiments?.connect((eventName, properties) => this.trackEvent(eventName, properties));
   }
   
+  /**
+   * Hand the event to the analytics pipeline (see ANALYTICS_EVENTS)
+   */
   trackEvent(eventName, properties = {}) {
-    // Analytics tracking
-    console.log('Event tracked:', eventName, properties);
-    
-    // Integration with Google Analytics, Facebook Pixel, etc.
-    if (typeof gtag !== 'undefined') {
-      gtag('event', eventName, properties);
-    }
-    
-    if (typeof fbq !== 'undefined') {
-      fbq('track', eventName, properties);
-    }
+    return window.analytics?.track(eventName, properties) || null;
   }
 }
 
@@ -1487,7 +9194,7 @@ class KeyboardNavigation {
     const skipLink = document.createElement('a');
     skipLink.href = '#main-content';
     skipLink.className = 'skip-link';
-    skipLink.textContent = 'Skip to main content';
+    window.i18n.localize(skipLink, 'a11y.skipToContent');
     skipLink.style.cssText = `
       position: absolute;
       top: -40px;
@@ -1541,48 +9248,6 @@ class KeyboardNavigation {
   }
 }
 
-/**
- * Error Boundary for JavaScript
- */
-class ErrorHandler {
-  constructor() {
-    this.init();
-  }
-  
-  init() {
-    window.addEventListener('error', (e) => this.handleError(e));
-    window.addEventListener('unhandledrejection', (e) => this.handlePromiseRejection(e));
-  }
-  
-  handleError(e) {
-    console.error('JavaScript Error:', e.error);
-    
-    // Log to external service in production
-    this.logError({
-      message: e.message,
-      filename: e.filename,
-      lineno: e.lineno,
-      colno: e.colno,
-      stack: e.error?.stack
-    });
-  }
-  
-  handlePromiseRejection(e) {
-    console.error('Unhandled Promise Rejection:', e.reason);
-    
-    this.logError({
-      type: 'promise_rejection',
-      reason: e.reason
-    });
-  }
-  
-  logError(errorInfo) {
-    // In production, send to error tracking service
-    // Example: Sentry, LogRocket, etc.
-    console.log('Error logged:', errorInfo);
-  }
-}
-
 // ===================================
 // PERFORMANCE OPTIMIZATIONS
 // ===================================
@@ -1615,13 +9280,31 @@ class ResourcePreloader {
     });
   }
   
+  /**
+   * Web fonts come from Google, which sees the visitor's IP address, so they
+   * load with marketing consent and are dropped again if it is withdrawn
+   */
   preloadFonts() {
-    const fonts = [
-      'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap',
-      'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700;800&display=swap'
-    ];
+    const consent = window.cookieConsent;
+    const update = () => {
+      if (!consent || consent.has(ResourcePreloader.FONT_CONSENT)) {
+        this.loadFonts();
+      } else {
+        this.removeFonts();
+      }
+    };
+    
+    this.fontLinks = [];
+    update();
+    document.addEventListener('consent:changed', update);
+  }
+  
+  loadFonts() {
+    if (this.fontLinks.length) return;
+    
+    const fonts = window.siteConfig?.get('fonts', []) || [];
     
-    fonts.forEach(href => {
+    this.fontLinks = fonts.map(href => {
       const link = document.createElement('link');
       link.rel = 'preload';
       link.as = 'style';
@@ -1630,10 +9313,18 @@ class ResourcePreloader {
         this.rel = 'stylesheet';
       };
       document.head.appendChild(link);
+      return link;
     });
   }
+  
+  removeFonts() {
+    this.fontLinks.forEach(link => link.remove());
+    this.fontLinks = [];
+  }
 }
 
+ResourcePreloader.FONT_CONSENT = 'marketing';
+
 /**
  * Memory Management
  */
@@ -1679,25 +9370,19 @@ class MemoryManager {
 
 // Initialize additional interactive features
 document.addEventListener('DOMContentLoaded', () => {
-  try {
-    new TestimonialVisibilityFix(); // Add this first to ensure visibility
-    new PricingInteractions();
-    new TestimonialAnimations();
-    new ServiceCardInteractions();
-    new ProgressBarAnimations();
-    new ContactTracking();
-    new ScrollProgress();
-    new LazyImageLoading();
-    new KeyboardNavigation();
-    new ErrorHandler();
-    new ResourcePreloader();
-    new MemoryManager();
-    
-    console.log('All additional components initialized successfully');
-    
-  } catch (error) {
-    console.error('Error initializing additional components:', error);
-  }
+  app.startComponent('testimonialVisibilityFix', () => new TestimonialVisibilityFix()); // Add this first to ensure visibility
+  app.startComponent('pricingInteractions', () => new PricingInteractions());
+  app.startComponent('testimonialAnimations', () => new TestimonialAnimations());
+  app.startComponent('serviceCardInteractions', () => new ServiceCardInteractions());
+  app.startComponent('progressBarAnimations', () => new ProgressBarAnimations());
+  app.startComponent('contactTracking', () => new ContactTracking());
+  app.startComponent('scrollProgress', () => new ScrollProgress());
+  app.startComponent('lazyImageLoading', () => new LazyImageLoading());
+  app.startComponent('keyboardNavigation', () => new KeyboardNavigation());
+  app.startComponent('resourcePreloader', () => new ResourcePreloader());
+  app.startComponent('memoryManager', () => new MemoryManager());
+  
+  app.reportStartup('All additional components initialized successfully');
 });
 
 // ===================================